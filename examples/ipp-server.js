@@ -0,0 +1,169 @@
+/**
+ * Minimal IPP printer stand-in for testing the agent's IPP backend without a printer
+ *
+ * Usage: node examples/ipp-server.js [port] [outputDir] [--abort]
+ *
+ * Listens on ipp://localhost:<port>/ipp/print (default port 8631) and saves every
+ * Print-Job document to outputDir (default ./ipp-output). Jobs go pending ->
+ * processing -> completed over a few seconds, or end aborted with --abort.
+ * Supports Print-Job, Get-Job-Attributes, Cancel-Job and Get-Printer-Attributes.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const IppMessage = require('../src/backends/IppMessage');
+
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const PORT = Number(args[0]) || 8631;
+const OUTPUT_DIR = path.resolve(args[1] || 'ipp-output');
+const FINAL_STATE = process.argv.includes('--abort') ? 8 : 9; // aborted : completed
+const PRINTER_URI = `ipp://localhost:${PORT}/ipp/print`;
+
+const STATUS = {
+    ok: 0x0000,
+    badRequest: 0x0400,
+    notFound: 0x0406,
+    notPossible: 0x0404,
+    operationNotSupported: 0x0501
+};
+
+const jobs = new Map();
+let nextJobId = 1;
+
+fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+function respond(res, request, status, groups = {}, message = null) {
+    const operation = {
+        'attributes-charset': 'utf-8',
+        'attributes-natural-language': 'en'
+    };
+    if (message) {
+        operation['status-message'] = message;
+    }
+    const body = IppMessage.encode({
+        version: 0x0200,
+        code: status,
+        requestId: request ? request.requestId : 0,
+        groups: { operation, ...groups }
+    });
+    res.writeHead(200, { 'Content-Type': 'application/ipp', 'Content-Length': body.length });
+    res.end(body);
+}
+
+function jobAttributes(job) {
+    return {
+        'job-id': job.id,
+        'job-uri': `${PRINTER_URI}/${job.id}`,
+        'job-state': job.state,
+        'job-state-reasons': job.state === 9 ? 'job-completed-successfully' : 'none'
+    };
+}
+
+// Walk a job through its states like a real printer would
+function advanceJob(job) {
+    setTimeout(() => {
+        if (job.state === 3) job.state = 5;
+        setTimeout(() => {
+            if (job.state === 5) job.state = FINAL_STATE;
+            console.log(`Job ${job.id} ${job.state === 9 ? 'completed' : 'aborted'}`);
+        }, 2000);
+    }, 1000);
+}
+
+function handle(request, res) {
+    const operation = request.groups.operation || {};
+    const jobId = operation['job-id'];
+
+    switch (request.code) {
+        case IppMessage.OPERATIONS['Print-Job']: {
+            if (!request.data || request.data.length === 0) {
+                respond(res, request, STATUS.badRequest, {}, 'No document data');
+                return;
+            }
+            const job = { id: nextJobId++, state: 3 };
+            const extension = operation['document-format'] === 'application/pdf' ? 'pdf' : 'bin';
+            const filePath = path.join(OUTPUT_DIR, `job-${job.id}.${extension}`);
+            fs.writeFileSync(filePath, request.data);
+            fs.writeFileSync(`${filePath}.json`, JSON.stringify({
+                operation,
+                job: request.groups.job || {}
+            }, null, 2));
+            jobs.set(job.id, job);
+            console.log(`Job ${job.id} "${operation['job-name']}" received (${request.data.length} bytes) -> ${filePath}`);
+            advanceJob(job);
+            respond(res, request, STATUS.ok, { job: jobAttributes(job) });
+            return;
+        }
+        case IppMessage.OPERATIONS['Get-Job-Attributes']: {
+            const job = jobs.get(jobId);
+            if (!job) {
+                respond(res, request, STATUS.notFound, {}, `Job ${jobId} not found`);
+                return;
+            }
+            respond(res, request, STATUS.ok, { job: jobAttributes(job) });
+            return;
+        }
+        case IppMessage.OPERATIONS['Cancel-Job']: {
+            const job = jobs.get(jobId);
+            if (!job) {
+                respond(res, request, STATUS.notFound, {}, `Job ${jobId} not found`);
+                return;
+            }
+            if (job.state >= 7) {
+                respond(res, request, STATUS.notPossible, {}, `Job ${jobId} is already finished`);
+                return;
+            }
+            job.state = 7;
+            console.log(`Job ${job.id} cancelled`);
+            respond(res, request, STATUS.ok);
+            return;
+        }
+        case IppMessage.OPERATIONS['Get-Printer-Attributes']:
+            respond(res, request, STATUS.ok, {
+                printer: {
+                    'printer-uri-supported': PRINTER_URI,
+                    'printer-name': 'IPP Stand-in',
+                    'printer-make-and-model': 'Clever Printing Agent IPP Stand-in',
+                    'printer-state': 3, // idle
+                    'printer-state-reasons': 'none',
+                    'printer-is-accepting-jobs': true,
+                    'color-supported': true,
+                    'sides-supported': ['one-sided', 'two-sided-long-edge', 'two-sided-short-edge'],
+                    'media-supported': ['iso_a4_210x297mm', 'na_letter_8.5x11in', 'na_legal_8.5x14in'],
+                    'media-source-supported': ['auto', 'tray-1', 'tray-2'],
+                    'printer-resolution-supported': [{ x: 300, y: 300, units: 3 }, { x: 600, y: 600, units: 3 }],
+                    'document-format-supported': ['application/pdf', 'application/octet-stream']
+                }
+            });
+            return;
+        default:
+            respond(res, request, STATUS.operationNotSupported, {}, `Operation 0x${request.code.toString(16)} is not supported`);
+    }
+}
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.headers['content-type'] !== 'application/ipp') {
+        res.writeHead(400);
+        res.end('Expected an IPP request');
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+        let request;
+        try {
+            request = IppMessage.decode(Buffer.concat(chunks));
+        } catch (error) {
+            respond(res, null, STATUS.badRequest, {}, error.message);
+            return;
+        }
+        handle(request, res);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`IPP stand-in listening on ${PRINTER_URI}`);
+    console.log(`Documents are saved to ${OUTPUT_DIR}`);
+});
@@ -1,11 +1,20 @@
 let currentFilter = 'all';
 let jobs = [];
+let queuePaused = false;
+// First-page thumbnails, fetched once per job: jobId -> { dataUrl, pageCount } or { error }
+const thumbnails = new Map();
+let thumbnailLoading = false;
+const THUMBNAIL_WIDTH = 96;
+// Printer roles: role -> printer or pool, plus the printers and pools a role can point at
+let printerRoles = {};
+let roleTargets = [];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     await loadStatus();
     await loadJobs();
     await loadConfig();
+    await loadPrinterRoles();
     
     setupEventListeners();
     setupJobUpdateListener();
@@ -90,12 +99,23 @@ async function loadConfig() {
 function updateStatusDisplay(status) {
     document.getElementById('queue-length').textContent = status.queueLength || 0;
     document.getElementById('processing-status').textContent = status.isProcessing ? 'Yes' : 'No';
-    document.getElementById('default-printer').textContent = status.defaultPrinter || 'Not set';
+    document.getElementById('default-printer').textContent = status.defaultPrinter
+        ? `${status.defaultPrinter}${status.defaultPrinterMissing ? ' (not found, using system default)' : ''}`
+        : 'Not set';
     
     const statusDot = document.getElementById('status-dot');
     const statusText = document.getElementById('status-text');
+    const pausedPrinters = status.pausedPrinters || [];
     
-    if (status.isProcessing) {
+    queuePaused = !!status.paused;
+    document.getElementById('pause-queue-btn').textContent = queuePaused ? 'Resume Printing' : 'Pause Printing';
+    renderPrinterQueues(status.workers || [], pausedPrinters, status.printerHealth || []);
+    updateRoleAvailability(status.roles || []);
+    
+    if (status.paused) {
+        statusDot.className = 'status-dot paused';
+        statusText.textContent = 'Paused';
+    } else if (status.isProcessing) {
         statusDot.className = 'status-dot active';
         statusText.textContent = 'Processing';
     } else if (status.queueLength > 0) {
@@ -105,6 +125,112 @@ function updateStatusDisplay(status) {
         statusDot.className = 'status-dot active';
         statusText.textContent = 'Idle';
     }
+    
+    if (!status.paused && pausedPrinters.length > 0) {
+        statusText.textContent += ` (${pausedPrinters.length} printer(s) paused)`;
+    }
+}
+
+function renderPrinterQueues(workers, pausedPrinters, printerHealth) {
+    const container = document.getElementById('printer-queues');
+    const healthByName = new Map(printerHealth.map(health => [health.name, health]));
+    // Include paused printers that have no worker yet so they can still be resumed
+    const names = workers.map(worker => worker.printerName);
+    const rows = [
+        ...workers,
+        ...pausedPrinters.filter(name => !names.includes(name)).map(name => ({ printerName: name, displayName: name, queueLength: 0 }))
+    ];
+    
+    container.innerHTML = rows.map(worker => {
+        const isPaused = worker.printerName && pausedPrinters.includes(worker.printerName);
+        const isDown = worker.available === false;
+        const health = healthByName.get(worker.printerName);
+        const downLabel = isDown ? ` (${escapeHtml(health ? describeHealth(health) : 'unavailable')})` : '';
+        const button = worker.printerName ? 
+            `<button class="job-action-btn" data-printer="${escapeHtml(worker.printerName)}" data-paused="${isPaused}">${isPaused ? 'Resume' : 'Pause'}</button>` : '';
+        return `
+            <div class="printer-queue-item ${isPaused ? 'paused' : ''} ${isDown ? 'down' : ''}" title="${escapeHtml((health && health.message) || '')}">
+                <span class="printer-queue-name">${escapeHtml(worker.displayName)}${isPaused ? ' (paused)' : ''}${downLabel}</span>
+                <span>${worker.queueLength || 0} queued</span>
+                ${button}
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('button[data-printer]').forEach(btn => {
+        btn.addEventListener('click', () => togglePrinterPause(btn.dataset.printer, btn.dataset.paused === 'true'));
+    });
+}
+
+async function loadPrinterRoles() {
+    try {
+        const [config, printers, status] = await Promise.all([
+            window.electronAPI.getConfig(),
+            window.electronAPI.getPrinters(),
+            window.electronAPI.getStatus()
+        ]);
+        printerRoles = config.printerRoles || {};
+        roleTargets = [
+            ...printers.map(printer => ({ name: printer.name, label: printer.displayName || printer.name })),
+            ...(status.pools || []).map(pool => ({ name: pool.name, label: `${pool.name} (pool)` }))
+        ];
+        // Keep printers that are mapped but not connected right now selectable
+        Object.values(printerRoles).forEach(name => {
+            if (!roleTargets.some(target => target.name === name)) {
+                roleTargets.push({ name, label: `${name} (not found)` });
+            }
+        });
+        renderPrinterRoles();
+    } catch (error) {
+        console.error('Error loading printer roles:', error);
+    }
+}
+
+function renderPrinterRoles() {
+    const container = document.getElementById('printer-roles');
+    const roles = Object.keys(printerRoles).sort();
+    
+    if (roles.length === 0) {
+        container.innerHTML = '<div class="printer-role-item">No roles configured</div>';
+    } else {
+        container.innerHTML = roles.map(role => `
+            <div class="printer-role-item" data-role="${escapeHtml(role)}">
+                <span class="printer-role-name" title="${escapeHtml(role)}">${escapeHtml(role)}</span>
+                <select class="role-printer-select" data-role="${escapeHtml(role)}">${renderRoleOptions(printerRoles[role])}</select>
+                <button class="job-action-btn" data-remove-role="${escapeHtml(role)}">Remove</button>
+            </div>
+        `).join('');
+    }
+    document.getElementById('role-printer-select').innerHTML = renderRoleOptions(null);
+    
+    container.querySelectorAll('select[data-role]').forEach(select => {
+        select.addEventListener('change', () => savePrinterRole(select.dataset.role, select.value));
+    });
+    container.querySelectorAll('button[data-remove-role]').forEach(btn => {
+        btn.addEventListener('click', () => savePrinterRole(btn.dataset.removeRole, null));
+    });
+}
+
+function renderRoleOptions(selected) {
+    const placeholder = selected ? '' : '<option value="">Choose a printer...</option>';
+    return placeholder + roleTargets.map(target =>
+        `<option value="${escapeHtml(target.name)}" ${target.name === selected ? 'selected' : ''}>${escapeHtml(target.label)}</option>`
+    ).join('');
+}
+
+// Status refreshes only mark roles whose printer is down, so open dropdowns are left alone
+function updateRoleAvailability(roles) {
+    roles.forEach(role => {
+        const row = document.querySelector(`.printer-role-item[data-role="${CSS.escape(role.role)}"]`);
+        if (row) {
+            row.classList.toggle('down', !role.available);
+        }
+    });
+}
+
+// e.g. "offline" or "stopped, media-empty-error"
+function describeHealth(health) {
+    return [health.state, ...health.reasons].join(', ');
 }
 
 function renderJobs() {
@@ -116,6 +242,10 @@ function renderJobs() {
         if (currentFilter === 'processing') {
             return job.status === 'processing' || job.status === 'printing';
         }
+        // "scheduled" filter should include both "scheduled" and "held" statuses
+        if (currentFilter === 'scheduled') {
+            return job.status === 'scheduled' || job.status === 'held';
+        }
         // "completed" filter should show completed jobs
         if (currentFilter === 'completed') {
             return job.status === 'completed';
@@ -136,6 +266,7 @@ function renderJobs() {
     filteredJobs.forEach(job => {
         const cancelBtn = document.getElementById(`cancel-${job.id}`);
         const retryBtn = document.getElementById(`retry-${job.id}`);
+        const releaseBtn = document.getElementById(`release-${job.id}`);
         
         if (cancelBtn) {
             cancelBtn.addEventListener('click', () => cancelJob(job.id));
@@ -143,7 +274,34 @@ function renderJobs() {
         if (retryBtn) {
             retryBtn.addEventListener('click', () => retryJob(job.id));
         }
+        if (releaseBtn) {
+            releaseBtn.addEventListener('click', () => releaseJob(job.id));
+        }
     });
+
+    loadNextThumbnail(filteredJobs);
+}
+
+// Raw and receipt jobs have no pages to show
+function hasPreview(job) {
+    return !(job.data && (job.data.rawData || job.data.receipt));
+}
+
+// Previews render in a hidden window, so fetch one at a time and re-render as each arrives
+async function loadNextThumbnail(visibleJobs) {
+    if (thumbnailLoading) return;
+    const job = visibleJobs.find(j => !thumbnails.has(j.id) && hasPreview(j));
+    if (!job) return;
+
+    thumbnailLoading = true;
+    try {
+        thumbnails.set(job.id, await window.electronAPI.getJobPreview(job.id, { page: 1, width: THUMBNAIL_WIDTH }));
+    } catch (error) {
+        thumbnails.set(job.id, { error: error.message });
+    } finally {
+        thumbnailLoading = false;
+    }
+    renderJobs();
 }
 
 function createJobCard(job) {
@@ -153,12 +311,44 @@ function createJobCard(job) {
     let actionsHTML = '';
     if (job.status === 'queued' || job.status === 'processing') {
         actionsHTML = `<button class="job-action-btn danger" id="cancel-${job.id}">Cancel</button>`;
+    } else if (job.status === 'scheduled' || job.status === 'held') {
+        actionsHTML = `<button class="job-action-btn" id="release-${job.id}">Print Now</button>` +
+            `<button class="job-action-btn danger" id="cancel-${job.id}">Cancel</button>`;
     } else if (job.status === 'failed') {
         actionsHTML = `<button class="job-action-btn" id="retry-${job.id}">Retry</button>`;
     }
     
+    const errorLabel = job.errorType === 'permanent' ? 'Error (not retryable)' : 'Error';
     const errorHTML = job.error ? 
-        `<div class="job-error">Error: ${escapeHtml(job.error)}</div>` : '';
+        `<div class="job-error">${errorLabel}: ${escapeHtml(job.error)}</div>` : '';
+    const nextAttemptHTML = job.status === 'queued' && job.nextAttemptAt ? `
+                <div class="job-detail-item">
+                    <label>Next Attempt</label>
+                    <span>${new Date(job.nextAttemptAt).toLocaleTimeString()}</span>
+                </div>` : '';
+    const printerStateHTML = job.status === 'printing' && job.printerJobState ? `
+                <div class="job-detail-item">
+                    <label>Printer State</label>
+                    <span>${escapeHtml(job.printerJobState)}</span>
+                </div>` : '';
+    const printAtHTML = job.status === 'scheduled' && job.printAt ? `
+                <div class="job-detail-item">
+                    <label>Prints At</label>
+                    <span>${new Date(job.printAt).toLocaleString()}</span>
+                </div>` : '';
+    const batchHTML = job.batchId ? `
+                <div class="job-detail-item">
+                    <label>Batch</label>
+                    <span title="${escapeHtml(job.batchId)}">${job.batchIndex + 1} of ${job.batchSize}</span>
+                </div>` : '';
+    const thumbnail = thumbnails.get(job.id);
+    const thumbnailHTML = thumbnail && thumbnail.dataUrl ?
+        `<img class="job-thumbnail" src="${thumbnail.dataUrl}" alt="Page 1 preview" title="Page 1 of ${thumbnail.pageCount}">` : '';
+    const pagesHTML = job.pageCount ? `
+                <div class="job-detail-item">
+                    <label>Pages</label>
+                    <span>${job.pageCount}</span>
+                </div>` : '';
     
     return `
         <div class="job-card">
@@ -166,6 +356,8 @@ function createJobCard(job) {
                 <span class="job-id">${escapeHtml(job.id)}</span>
                 <span class="job-status ${job.status}">${job.status}</span>
             </div>
+            <div class="job-body">
+            ${thumbnailHTML}
             <div class="job-details">
                 <div class="job-detail-item">
                     <label>Timestamp</label>
@@ -175,10 +367,15 @@ function createJobCard(job) {
                     <label>Priority</label>
                     <span>${priority}</span>
                 </div>
+                <div class="job-detail-item">
+                    <label>Printer</label>
+                    <span>${escapeHtml(job.printerName || 'Default')}${job.pool ? ` (${escapeHtml(job.pool)})` : ''}${job.printerRole ? ` for ${escapeHtml(job.printerRole)}` : ''}</span>
+                </div>
                 <div class="job-detail-item">
                     <label>Retries</label>
                     <span>${job.retryCount || 0}</span>
-                </div>
+                </div>${pagesHTML}${batchHTML}${nextAttemptHTML}${printAtHTML}${printerStateHTML}
+            </div>
             </div>
             ${errorHTML}
             ${actionsHTML ? `<div class="job-actions">${actionsHTML}</div>` : ''}
@@ -199,6 +396,7 @@ function setupEventListeners() {
     
     // Action buttons
     document.getElementById('select-printer-btn').addEventListener('click', selectPrinter);
+    document.getElementById('pause-queue-btn').addEventListener('click', toggleQueuePause);
     document.getElementById('refresh-btn').addEventListener('click', () => {
         loadStatus();
         loadJobs();
@@ -213,6 +411,9 @@ function setupEventListeners() {
     document.getElementById('browse-sumatra-btn').addEventListener('click', browseSumatraPath);
     document.getElementById('save-sumatra-btn').addEventListener('click', saveSumatraPath);
     document.getElementById('clear-sumatra-btn').addEventListener('click', clearSumatraPath);
+    
+    // Printer roles
+    document.getElementById('add-role-btn').addEventListener('click', addPrinterRole);
 }
 
 function setupJobUpdateListener() {
@@ -220,6 +421,11 @@ function setupJobUpdateListener() {
         loadStatus();
         loadJobs();
     });
+    window.electronAPI.onPrinterStatus(() => loadStatus());
+    window.electronAPI.onPrintersChanged(() => {
+        loadStatus();
+        loadPrinterRoles();
+    });
 }
 
 async function selectPrinter() {
@@ -235,6 +441,34 @@ async function selectPrinter() {
     }
 }
 
+async function toggleQueuePause() {
+    try {
+        if (queuePaused) {
+            await window.electronAPI.resumeQueue();
+        } else {
+            await window.electronAPI.pauseQueue();
+        }
+        loadStatus();
+    } catch (error) {
+        console.error('Error toggling queue pause:', error);
+        alert('Failed to change pause state');
+    }
+}
+
+async function togglePrinterPause(printerName, isPaused) {
+    try {
+        if (isPaused) {
+            await window.electronAPI.resumePrinter(printerName);
+        } else {
+            await window.electronAPI.pausePrinter(printerName);
+        }
+        loadStatus();
+    } catch (error) {
+        console.error('Error toggling printer pause:', error);
+        alert('Failed to change printer pause state');
+    }
+}
+
 async function cancelJob(jobId) {
     try {
         const success = await window.electronAPI.cancelJob(jobId);
@@ -265,6 +499,21 @@ async function retryJob(jobId) {
     }
 }
 
+async function releaseJob(jobId) {
+    try {
+        const success = await window.electronAPI.releaseJob(jobId);
+        if (success) {
+            loadJobs();
+            loadStatus();
+        } else {
+            alert('Failed to release job');
+        }
+    } catch (error) {
+        console.error('Error releasing job:', error);
+        alert('Failed to release job');
+    }
+}
+
 async function clearCompleted() {
     try {
         const count = await window.electronAPI.clearCompleted();
@@ -395,3 +644,30 @@ async function clearSumatraPath() {
     }
 }
 
+async function addPrinterRole() {
+    const input = document.getElementById('role-name-input');
+    const role = input.value.trim();
+    const printerName = document.getElementById('role-printer-select').value;
+    
+    if (!role || !printerName) {
+        alert('Enter a role name and choose a printer for it.');
+        return;
+    }
+    if (await savePrinterRole(role, printerName)) {
+        input.value = '';
+    }
+}
+
+async function savePrinterRole(role, printerName) {
+    try {
+        printerRoles = await window.electronAPI.setPrinterRole(role, printerName);
+        renderPrinterRoles();
+        loadStatus();
+        return true;
+    } catch (error) {
+        console.error('Error saving printer role:', error);
+        alert('Failed to save printer role: ' + error.message);
+        renderPrinterRoles();
+        return false;
+    }
+}
@@ -1,6 +1,19 @@
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const JobValidator = require('../spooler/JobValidator');
+const PrintError = require('../spooler/PrintError');
+
+// Preview failures that mean something other than "this document cannot be rendered"
+const PREVIEW_ERROR_STATUS = {
+  PAGE_OUT_OF_RANGE: 400,
+  PREVIEW_UNAVAILABLE: 410,
+  PDF_NOT_FOUND: 410,
+  IMAGE_NOT_FOUND: 410
+};
+
+// Batch options that apply to every document of a batch (see PrintSpooler.addBatch)
+const BATCH_FIELDS = ['printerName', 'printerRole', 'priority', 'printAt', 'hold', 'idempotencyKey'];
 
 class APIServer {
   constructor(port, printSpooler) {
@@ -25,6 +38,56 @@ class APIServer {
     });
   }
 
+  /**
+   * Build spooler job data from a print request body
+   */
+  buildJobData(body, req) {
+    return {
+      pdf: body.pdf, // Base64 encoded PDF or file path
+      pdfBase64: body.pdfBase64, // Explicit base64 PDF data
+      pdfPath: body.pdfPath, // Local file path to PDF
+      pdfUrl: body.pdfUrl, // URL to PDF file
+      html: body.html, // HTML content (legacy support)
+      url: body.url, // URL to HTML page (legacy support)
+      imageBase64: body.imageBase64, // Base64 encoded PNG/JPEG
+      imagePath: body.imagePath, // Local file path to PNG/JPEG
+      imageUrl: body.imageUrl, // URL to PNG/JPEG
+      imageFit: body.imageFit, // fit (default) | fill | actual
+      template: body.template, // Name of a stored template rendered locally
+      templateVersion: body.templateVersion, // Template version (default: latest when queued)
+      templateData: body.data, // JSON data for the template
+      rawData: body.rawData, // Printer-language data (ZPL/EPL/ESC/POS) sent without conversion
+      rawFormat: body.rawFormat, // zpl | epl | escpos
+      rawEncoding: body.rawEncoding, // utf8 (default) | base64
+      receipt: body.receipt, // Structured receipt rendered to ESC/POS
+      printerName: body.printerName,
+      printerRole: body.printerRole, // Logical role (e.g. badges) mapped to a local printer in printerRoles
+      priority: body.priority || 'normal',
+      printBackground: body.printBackground !== false,
+      margins: body.margins, // HTML/URL jobs only
+      // Print options (see PrintOptions) - unset options use the printer's defaults
+      copies: body.copies || 1,
+      pageSize: body.pageSize,
+      duplex: body.duplex,
+      colorMode: body.colorMode,
+      orientation: body.orientation,
+      pageRanges: body.pageRanges,
+      tray: body.tray,
+      scaling: body.scaling,
+      collate: body.collate,
+      stamps: body.stamps, // Text overlays (watermark, labels, page numbers) - see PdfStamper
+      // Layout (see PdfImposer) - pages per sheet or booklet, applied to the PDF itself
+      nUp: body.nUp,
+      booklet: body.booklet,
+      scale: body.scale,
+      // Retried submissions with the same key return the original job
+      idempotencyKey: req.get('Idempotency-Key') || body.idempotencyKey,
+      printAt: body.printAt, // ISO timestamp - keep the job scheduled until then
+      hold: body.hold === true, // Keep the job held until released
+      metadata: body.metadata || {}
+    };
+  }
+
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
@@ -38,37 +101,28 @@ class APIServer {
     // Submit print job
     this.app.post('/api/print', async (req, res) => {
       try {
-        const jobData = {
-          pdf: req.body.pdf, // Base64 encoded PDF or file path
-          pdfBase64: req.body.pdfBase64, // Explicit base64 PDF data
-          pdfPath: req.body.pdfPath, // Local file path to PDF
-          pdfUrl: req.body.pdfUrl, // URL to PDF file
-          html: req.body.html, // HTML content (legacy support)
-          url: req.body.url, // URL to HTML page (legacy support)
-          printerName: req.body.printerName,
-          priority: req.body.priority || 'normal',
-          printBackground: req.body.printBackground !== false,
-          pageSize: req.body.pageSize || 'A4',
-          margins: req.body.margins,
-          copies: req.body.copies || 1,
-          metadata: req.body.metadata || {}
-        };
+        const jobData = this.buildJobData(req.body, req);
 
-        // Validate required fields - PDF takes priority
-        if (!jobData.pdf && !jobData.pdfBase64 && !jobData.pdfPath && !jobData.pdfUrl && !jobData.html && !jobData.url) {
-          return res.status(400).json({ 
-            error: 'Either pdf, pdfBase64, pdfPath, pdfUrl, html, or url must be provided' 
-          });
+        const validationErrors = JobValidator.validate(jobData, this.printSpooler.templateStore);
+        if (validationErrors.length > 0) {
+          return res.status(400).json({ error: validationErrors.join('; ') });
         }
 
+        const duplicate = this.printSpooler.isDuplicateSubmission(jobData.idempotencyKey);
         const job = await this.printSpooler.addJob(jobData);
         res.json({ 
           success: true, 
           jobId: job.id,
           status: job.status,
+          duplicate,
+          printAt: job.printAt || null,
           timestamp: job.timestamp
         });
       } catch (error) {
+        // Documents rejected by preflight, or options the printer cannot do, can never print
+        if (error instanceof PrintError && error.permanent) {
+          return res.status(422).json({ error: error.message, code: error.code });
+        }
         console.error('Error adding print job:', error);
         res.status(500).json({ 
           error: error.message || 'Failed to add print job' 
@@ -76,11 +130,201 @@ class APIServer {
       }
     });
 
+    // Submit an ordered batch of documents that prints as one collated unit
+    this.app.post('/api/print/batch', async (req, res) => {
+      try {
+        const { documents, ...shared } = req.body;
+        if (!Array.isArray(documents) || documents.length === 0) {
+          return res.status(400).json({ error: 'documents must be a non-empty array' });
+        }
+
+        // Where and when the batch prints is set once for the whole batch, so a document
+        // cannot set it for itself
+        for (let i = 0; i < documents.length; i++) {
+          const batchField = BATCH_FIELDS.find(field => documents[i] && documents[i][field] !== undefined);
+          if (batchField) {
+            return res.status(400).json({ error: `documents[${i}]: ${batchField} applies to the whole batch and must be set outside documents` });
+          }
+        }
+
+        // Other shared options apply to every document; a document's own fields win
+        const jobDatas = documents.map(document => this.buildJobData({ ...shared, ...document }, req));
+        for (let i = 0; i < jobDatas.length; i++) {
+          const validationErrors = JobValidator.validate(jobDatas[i], this.printSpooler.templateStore);
+          if (validationErrors.length > 0) {
+            return res.status(400).json({ error: `documents[${i}]: ${validationErrors.join('; ')}` });
+          }
+        }
+
+        const options = {
+          printerName: shared.printerName,
+          printerRole: shared.printerRole,
+          priority: shared.priority,
+          printAt: shared.printAt,
+          hold: shared.hold === true,
+          idempotencyKey: req.get('Idempotency-Key') || shared.idempotencyKey
+        };
+        const duplicate = this.printSpooler.isDuplicateSubmission(options.idempotencyKey, { batch: true });
+        const { batchId, jobs } = await this.printSpooler.addBatch(jobDatas, options);
+        res.json({
+          success: true,
+          batchId,
+          jobIds: jobs.map(job => job.id),
+          status: this.printSpooler.getBatch(batchId).status,
+          duplicate,
+          timestamp: jobs[0].timestamp
+        });
+      } catch (error) {
+        if (error instanceof PrintError && error.permanent) {
+          return res.status(422).json({ error: error.message, code: error.code });
+        }
+        console.error('Error adding print batch:', error);
+        res.status(500).json({
+          error: error.message || 'Failed to add print batch'
+        });
+      }
+    });
+
+    // Get batch status (aggregated across its documents)
+    this.app.get('/api/batches/:batchId', (req, res) => {
+      const batch = this.printSpooler.getBatch(req.params.batchId);
+
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      res.json({
+        id: batch.id,
+        status: batch.status,
+        printerName: batch.printerName,
+        timestamp: batch.timestamp,
+        total: batch.total,
+        counts: batch.counts,
+        jobs: batch.jobs.map(job => ({
+          id: job.id,
+          batchIndex: job.batchId ? job.batchIndex : null,
+          status: job.status,
+          retryCount: job.retryCount,
+          error: job.error,
+          errorCode: job.errorCode || null
+        }))
+      });
+    });
+
+    // Cancel every unfinished document of a batch
+    this.app.post('/api/batches/:batchId/cancel', async (req, res) => {
+      try {
+        const batchId = req.params.batchId;
+        if (!this.printSpooler.getBatch(batchId)) {
+          return res.status(404).json({ error: 'Batch not found' });
+        }
+
+        const cancelled = await this.printSpooler.cancelBatch(batchId);
+        res.json({
+          success: true,
+          cancelled,
+          status: this.printSpooler.getBatch(batchId).status
+        });
+      } catch (error) {
+        console.error('Error cancelling batch:', error);
+        res.status(500).json({ error: 'Failed to cancel batch' });
+      }
+    });
+
+    // List stored templates
+    this.app.get('/api/templates', (req, res) => {
+      res.json({ templates: this.printSpooler.templateStore.list() });
+    });
+
+    // Get a template (latest version unless ?version= is given)
+    this.app.get('/api/templates/:name', (req, res) => {
+      const template = this.printSpooler.templateStore.get(req.params.name, req.query.version);
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      res.json(template);
+    });
+
+    // Upload a template (a new version is created when the content changes)
+    this.app.post('/api/templates/:name', (req, res) => {
+      try {
+        const { template, created } = this.printSpooler.templateStore.save(req.params.name, {
+          html: req.body.html,
+          version: req.body.version,
+          description: req.body.description,
+          pageSize: req.body.pageSize,
+          orientation: req.body.orientation,
+          margins: req.body.margins,
+          source: 'api'
+        });
+        res.status(created ? 201 : 200).json({ success: true, created, ...template });
+      } catch (error) {
+        if (error.code === 'TEMPLATE_INVALID') {
+          return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'TEMPLATE_VERSION_EXISTS') {
+          return res.status(409).json({ error: error.message });
+        }
+        console.error('Error saving template:', error);
+        res.status(500).json({ error: 'Failed to save template' });
+      }
+    });
+
+    // Preview a template rendered with data, as PDF (default) or HTML (?format=html)
+    this.app.post('/api/templates/:name/preview', async (req, res) => {
+      try {
+        const { html, template } = this.printSpooler.templateStore.render(req.params.name, req.body.data, req.body.version);
+        if (req.query.format === 'html') {
+          return res.type('html').send(html);
+        }
+
+        const pdfData = await this.printSpooler.documentRenderer.renderToPDF({
+          html,
+          pageSize: req.body.pageSize || template.pageSize || undefined,
+          orientation: req.body.orientation || template.orientation || undefined,
+          margins: req.body.margins || template.margins || undefined
+        });
+        res.type('application/pdf').send(pdfData);
+      } catch (error) {
+        if (error.code === 'TEMPLATE_NOT_FOUND') {
+          return res.status(404).json({ error: error.message });
+        }
+        console.error('Error previewing template:', error);
+        res.status(500).json({ error: error.message || 'Failed to preview template' });
+      }
+    });
+
+    // Render a page of a job's document to PNG
+    this.app.get('/api/jobs/:jobId/preview', async (req, res) => {
+      const page = req.query.page === undefined ? 1 : Number(req.query.page);
+      const width = req.query.width === undefined ? undefined : Number(req.query.width);
+      if (!Number.isInteger(page) || page < 1) {
+        return res.status(400).json({ error: 'page must be a whole number starting at 1' });
+      }
+      if (width !== undefined && (!Number.isInteger(width) || width < 16 || width > 2000)) {
+        return res.status(400).json({ error: 'width must be a whole number of pixels between 16 and 2000' });
+      }
+
+      try {
+        const preview = await this.printSpooler.getJobPreview(req.params.jobId, { page, width });
+        if (!preview) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        res.set('X-Page-Count', String(preview.pageCount));
+        res.type('png').send(preview.png);
+      } catch (error) {
+        const status = PREVIEW_ERROR_STATUS[error.code] || (error instanceof PrintError && error.permanent ? 422 : 500);
+        if (status === 500) {
+          console.error('Error rendering job preview:', error);
+        }
+        res.status(status).json({ error: error.message || 'Failed to render preview', code: error.code || null });
+      }
+    });
+
     // Get job status
     this.app.get('/api/jobs/:jobId', (req, res) => {
       const jobId = req.params.jobId;
-      const jobs = this.printSpooler.getJobQueue();
-      const job = jobs.find(j => j.id === jobId);
+      const job = this.printSpooler.getJob(jobId);
       
       if (!job) {
         return res.status(404).json({ error: 'Job not found' });
@@ -91,20 +335,35 @@ class APIServer {
         status: job.status,
         timestamp: job.timestamp,
         priority: job.priority,
+        printerName: job.printerName,
+        printerRole: job.printerRole || null,
+        printAt: job.printAt || null,
+        pageCount: job.pageCount || null,
+        batchId: job.batchId || null,
+        batchIndex: job.batchId ? job.batchIndex : null,
         retryCount: job.retryCount,
-        error: job.error
+        nextAttemptAt: job.nextAttemptAt || null,
+        backend: job.backend || null,
+        printerJobId: job.printerJobId || null,
+        printerJobState: job.printerJobState || null,
+        error: job.error,
+        errorCode: job.errorCode || null,
+        errorType: job.errorType || null
       });
     });
 
-    // Get all jobs
+    // Get all jobs (active queue plus recent history)
     this.app.get('/api/jobs', (req, res) => {
-      const jobs = this.printSpooler.getJobQueue();
+      const jobs = this.printSpooler.getAllJobs();
       res.json({
         jobs: jobs.map(job => ({
           id: job.id,
           status: job.status,
           timestamp: job.timestamp,
           priority: job.priority,
+          printAt: job.printAt || null,
+          pageCount: job.pageCount || null,
+          batchId: job.batchId || null,
           retryCount: job.retryCount,
           error: job.error
         }))
@@ -127,6 +386,21 @@ class APIServer {
       }
     });
 
+    // Get what a printer supports, so clients only offer options it can print
+    this.app.get('/api/printers/:printerName/capabilities', async (req, res) => {
+      try {
+        const printerName = req.params.printerName;
+        if (!(await this.printSpooler.hasPrinter(printerName))) {
+          return res.status(404).json({ error: 'Printer not found' });
+        }
+        const capabilities = await this.printSpooler.getPrinterCapabilities(printerName);
+        res.json({ printerName, capabilities });
+      } catch (error) {
+        console.error('Error getting printer capabilities:', error);
+        res.status(500).json({ error: 'Failed to get printer capabilities' });
+      }
+    });
+
     // Cancel job
     this.app.post('/api/jobs/:jobId/cancel', async (req, res) => {
       try {
@@ -144,6 +418,50 @@ class APIServer {
       }
     });
 
+    // Pause the whole queue
+    this.app.post('/api/queue/pause', (req, res) => {
+      this.printSpooler.pauseQueue();
+      res.json({ success: true, ...this.printSpooler.getPauseState() });
+    });
+
+    // Resume the whole queue
+    this.app.post('/api/queue/resume', (req, res) => {
+      this.printSpooler.resumeQueue();
+      res.json({ success: true, ...this.printSpooler.getPauseState() });
+    });
+
+    // Pause a single printer
+    this.app.post('/api/printers/:printerName/pause', (req, res) => {
+      this.printSpooler.pausePrinter(req.params.printerName);
+      res.json({ success: true, ...this.printSpooler.getPauseState() });
+    });
+
+    // Resume a single printer
+    this.app.post('/api/printers/:printerName/resume', (req, res) => {
+      const success = this.printSpooler.resumePrinter(req.params.printerName);
+      if (!success) {
+        return res.status(404).json({ error: 'Printer is not paused' });
+      }
+      res.json({ success: true, ...this.printSpooler.getPauseState() });
+    });
+
+    // Release a scheduled or held job so it prints now
+    this.app.post('/api/jobs/:jobId/release', (req, res) => {
+      try {
+        const jobId = req.params.jobId;
+        const success = this.printSpooler.releaseJob(jobId);
+
+        if (success) {
+          res.json({ success: true, message: 'Job released' });
+        } else {
+          res.status(404).json({ error: 'Job not found or not scheduled/held' });
+        }
+      } catch (error) {
+        console.error('Error releasing job:', error);
+        res.status(500).json({ error: 'Failed to release job' });
+      }
+    });
+
     // Error handling
     this.app.use((err, req, res, next) => {
       console.error('API Error:', err);
@@ -0,0 +1,201 @@
+const path = require('path');
+const { app } = require('electron');
+const PrintError = require('../spooler/PrintError');
+const CupsBackend = require('./CupsBackend');
+const SumatraBackend = require('./SumatraBackend');
+const PowerShellBackend = require('./PowerShellBackend');
+const ElectronBackend = require('./ElectronBackend');
+const FileBackend = require('./FileBackend');
+const IppBackend = require('./IppBackend');
+
+const BACKEND_MODES = ['auto', 'cups', 'sumatra', 'powershell', 'electron', 'file'];
+
+/**
+ * BackendManager - Picks the printer backend for each printer
+ * `printBackend: 'auto'` uses CUPS on macOS/Linux and SumatraPDF (or PowerShell/Edge
+ * without it) on Windows; any other value forces that backend. 'file' sends every
+ * job to the virtual file printer. With `virtualPrinter: true` the virtual printer
+ * is listed next to the real ones and only jobs sent to it are written to disk.
+ * Printers named by an ipp:// URI, or configured in `ippPrinters`, always go over IPP.
+ */
+class BackendManager {
+  constructor(configManager) {
+    this.configManager = configManager;
+    this.backends = {
+      cups: new CupsBackend({
+        pollInterval: configManager.get('printerJobPollInterval', 2000),
+        timeout: configManager.get('printerJobTimeout', 600000)
+      }),
+      sumatra: new SumatraBackend(),
+      powershell: new PowerShellBackend(),
+      electron: new ElectronBackend(),
+      ipp: new IppBackend({
+        pollInterval: configManager.get('printerJobPollInterval', 2000),
+        timeout: configManager.get('printerJobTimeout', 600000)
+      }),
+      file: null
+    };
+    this.reload();
+  }
+
+  /**
+   * Check whether a printBackend config value is supported
+   */
+  static isValidMode(mode) {
+    return BACKEND_MODES.includes(mode);
+  }
+
+  /**
+   * Re-read backend settings from config
+   */
+  reload() {
+    this.mode = this.configManager.get('printBackend', 'auto');
+    if (!BackendManager.isValidMode(this.mode)) {
+      console.warn(`Unknown printBackend "${this.mode}", using auto`);
+      this.mode = 'auto';
+    }
+    this.virtualPrinterEnabled = this.mode === 'file' || this.configManager.get('virtualPrinter', false) === true;
+    this.backends.sumatra.sumatraPath = this.configManager.get('sumatraPath', null);
+    this.backends.ipp.printers = this.configManager.get('ippPrinters', {}) || {};
+    this.backends.file = new FileBackend({
+      printerName: this.configManager.get('virtualPrinterName', 'Virtual File Printer'),
+      directory: this.configManager.get('virtualPrinterDir', null) || path.join(app.getPath('userData'), 'virtual-printer')
+    });
+  }
+
+  /**
+   * Get a backend by name
+   */
+  get(name) {
+    return this.backends[name] || null;
+  }
+
+  /**
+   * Whether every job goes to the virtual file printer, whatever printer it names
+   */
+  capturesAllJobs() {
+    return this.mode === 'file';
+  }
+
+  /**
+   * Backend for real printers on this machine
+   * @returns {PrinterBackend|null} Null if the platform has no supported backend
+   */
+  getPlatformBackend() {
+    if (this.mode !== 'auto') {
+      return this.backends[this.mode];
+    }
+    if (this.backends.cups.isAvailable()) {
+      return this.backends.cups;
+    }
+    if (process.platform === 'win32') {
+      return this.backends.sumatra.isAvailable() ? this.backends.sumatra : this.backends.powershell;
+    }
+    return null;
+  }
+
+  /**
+   * Pick the backend that prints to a printer
+   * @param {string|null} printerName - Resolved printer name (null = system default)
+   * @throws {PrintError} When there is no backend for this platform
+   */
+  resolve(printerName) {
+    if (this.virtualPrinterEnabled && (this.mode === 'file' || printerName === this.backends.file.printerName)) {
+      return this.backends.file;
+    }
+    if (this.backends.ipp.handles(printerName)) {
+      return this.backends.ipp;
+    }
+    const backend = this.getPlatformBackend();
+    if (!backend) {
+      throw PrintError.permanent(`Unsupported platform: ${process.platform}`, 'UNSUPPORTED_PLATFORM');
+    }
+    return backend;
+  }
+
+  /**
+   * List printers: Electron first, then the platform backend's own discovery,
+   * plus configured IPP printers and the virtual printer when it is enabled
+   */
+  async listPrinters() {
+    if (this.mode === 'file') {
+      return this.backends.file.listPrinters();
+    }
+
+    let printers = await this.backends.electron.listPrinters();
+    const platform = this.getPlatformBackend();
+    if (printers.length === 0 && platform && platform !== this.backends.electron) {
+      console.log('No printers found via Electron API, trying', platform.name);
+      printers = await platform.listPrinters();
+    }
+    printers.push(...await this.backends.ipp.listPrinters());
+    if (this.virtualPrinterEnabled) {
+      printers.push(...await this.backends.file.listPrinters());
+    }
+
+    return printers;
+  }
+
+  /**
+   * What a printer supports, from the backend that prints to it
+   * Anything that backend cannot tell is filled in from Electron's printer options,
+   * which is how Windows printers get their trays and resolutions.
+   * @param {string|null} printerName - Resolved printer name (null = system default)
+   */
+  async getCapabilities(printerName) {
+    const backend = this.resolve(printerName);
+    const capabilities = await backend.getCapabilities(printerName);
+    if (backend === this.backends.file || backend === this.backends.ipp || backend === this.backends.electron) {
+      return capabilities;
+    }
+
+    const isUnknown = (value) => value === null || (Array.isArray(value) && value.length === 0);
+    if (!Object.values(capabilities).some(isUnknown)) {
+      return capabilities;
+    }
+    const fallback = await this.backends.electron.getCapabilities(printerName);
+    Object.keys(capabilities).forEach(key => {
+      if (isUnknown(capabilities[key]) && fallback[key] !== undefined) {
+        capabilities[key] = fallback[key];
+      }
+    });
+    return capabilities;
+  }
+
+  /**
+   * Current state of the platform's printers and configured IPP printers
+   * A backend that cannot be queried contributes nothing, so its printers read as unknown.
+   */
+  async getPrinterStates() {
+    if (this.mode === 'file') {
+      return [];
+    }
+
+    const states = [];
+    for (const backend of [this.getPlatformBackend(), this.backends.ipp]) {
+      if (!backend) {
+        continue;
+      }
+      try {
+        states.push(...await backend.getPrinterStates());
+      } catch (error) {
+        console.warn(`Could not read printer states from ${backend.name}:`, error.message);
+      }
+    }
+    return states;
+  }
+
+  getStatus() {
+    const platform = this.getPlatformBackend();
+    return {
+      mode: this.mode,
+      backend: this.mode === 'file' ? 'file' : (platform ? platform.name : null),
+      virtualPrinter: this.virtualPrinterEnabled ? {
+        name: this.backends.file.printerName,
+        directory: this.backends.file.directory
+      } : null
+    };
+  }
+}
+
+module.exports = BackendManager;
@@ -0,0 +1,248 @@
+const { exec, execFile } = require('child_process');
+const PrinterBackend = require('./PrinterBackend');
+const PrintError = require('../spooler/PrintError');
+const PrintOptions = require('../spooler/PrintOptions');
+const CupsJobTracker = require('../spooler/CupsJobTracker');
+const RawPrinter = require('../spooler/RawPrinter');
+
+/**
+ * CupsBackend - Prints through CUPS with `lp` (macOS / Linux)
+ * Submitted jobs are followed with `lpstat` until the printer finishes them.
+ */
+class CupsBackend extends PrinterBackend {
+  /**
+   * @param {Object} options
+   * @param {number} options.pollInterval - lpstat poll interval while tracking a job
+   * @param {number} options.timeout - How long to wait for a job before cancelling it
+   */
+  constructor(options = {}) {
+    super('cups');
+    this.tracker = new CupsJobTracker(options);
+    this.rawPrinter = new RawPrinter();
+  }
+
+  isAvailable() {
+    return process.platform === 'darwin' || process.platform === 'linux';
+  }
+
+  /**
+   * List CUPS queues with lpstat (and system_profiler on macOS as a last resort)
+   */
+  async listPrinters() {
+    const names = new Set();
+
+    // "printer PrinterName is idle..." lines
+    try {
+      const output = await this.run('lpstat', ['-p']);
+      output.split('\n').forEach(line => {
+        const match = line.match(/^printer\s+(\S+)\s+/);
+        if (match) names.add(match[1]);
+      });
+    } catch (error) {
+      console.warn('lpstat -p failed, trying lpstat -a:', error.message);
+    }
+
+    // "PrinterName accepting requests..." lines
+    if (names.size === 0) {
+      try {
+        const output = await this.run('lpstat', ['-a']);
+        output.split('\n').forEach(line => {
+          const match = line.match(/^(\S+)\s+accepting/);
+          if (match) names.add(match[1]);
+        });
+      } catch (error) {
+        console.warn('lpstat -a also failed:', error.message);
+      }
+    }
+
+    if (names.size === 0 && process.platform === 'darwin') {
+      try {
+        const output = await this.run('system_profiler', ['SPPrintersDataType']);
+        output.split('\n').forEach(line => {
+          const match = line.match(/Printer Name:\s*(.+)/);
+          if (match && match[1].trim()) names.add(match[1].trim());
+        });
+      } catch (error) {
+        console.warn('system_profiler failed:', error.message);
+      }
+    }
+
+    const defaultName = await this.getDefaultPrinterName();
+    return [...names].map(name => PrinterBackend.printerInfo(name, { isDefault: name === defaultName }));
+  }
+
+  /**
+   * @returns {Promise<string|null>} The CUPS default destination, if one is set
+   */
+  async getDefaultPrinterName() {
+    try {
+      const match = /system default destination:\s*(\S+)/.exec(await this.run('lpstat', ['-d']));
+      return match ? match[1] : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read queue states with `lpstat -p -l` and whether they accept jobs with `lpstat -a`
+   */
+  async getPrinterStates() {
+    const states = CupsBackend.parsePrinterStates(await this.run('lpstat', ['-p', '-l']));
+    let accepting = {};
+    try {
+      accepting = CupsBackend.parseAccepting(await this.run('lpstat', ['-a']));
+    } catch (error) {
+      console.warn('lpstat -a failed:', error.message);
+    }
+    const defaultName = await this.getDefaultPrinterName();
+
+    return states.map(state => ({
+      ...state,
+      accepting: typeof accepting[state.name] === 'boolean' ? accepting[state.name] : null,
+      isDefault: state.name === defaultName
+    }));
+  }
+
+  /**
+   * Parse `lpstat -p -l` output
+   * Each queue starts with "printer NAME is idle.", "printer NAME now printing NAME-12." or
+   * "printer NAME disabled since ...", followed by indented detail lines: an optional
+   * status message and "Alerts: <printer-state-reasons>".
+   */
+  static parsePrinterStates(output) {
+    const printers = [];
+    let current = null;
+    let firstDetail = false;
+
+    (output || '').split('\n').forEach(line => {
+      const header = /^printer\s+(\S+)\s+(.*)$/.exec(line);
+      if (header) {
+        const status = header[2];
+        current = PrinterBackend.printerState(header[1], {
+          state: /disabled/.test(status) ? 'stopped'
+            : /now printing/.test(status) ? 'printing'
+              : /is idle/.test(status) ? 'idle' : 'unknown'
+        });
+        printers.push(current);
+        firstDetail = true;
+        return;
+      }
+      if (!current || !/^\s/.test(line) || !line.trim()) {
+        return;
+      }
+
+      const text = line.trim();
+      const alerts = /^Alerts:\s*(.*)$/.exec(text);
+      if (alerts) {
+        current.reasons = alerts[1].split(/\s+/).filter(reason => reason && reason !== 'none');
+      } else if (firstDetail && !/^(Form mounted|Content types|Printer types|Description|Location|Connection|Interface):/.test(text)) {
+        current.message = text;
+      }
+      firstDetail = false;
+    });
+
+    printers.forEach(printer => {
+      // CUPS reports an unreachable device as a reason, not a state
+      if (printer.state !== 'stopped' && printer.reasons.some(reason => /^offline(-report|-error)?$/.test(reason))) {
+        printer.state = 'offline';
+      }
+    });
+    return printers;
+  }
+
+  /**
+   * Parse `lpstat -a` output ("Office accepting requests since ...", "Label not accepting requests since ...")
+   * @returns {Object} Queue name -> accepting
+   */
+  static parseAccepting(output) {
+    const accepting = {};
+    (output || '').split('\n').forEach(line => {
+      const match = /^(\S+)\s+(not\s+)?accepting/.exec(line);
+      if (match) {
+        accepting[match[1]] = !match[2];
+      }
+    });
+    return accepting;
+  }
+
+  /**
+   * Read a queue's PPD options with `lpoptions -l`
+   */
+  async getCapabilities(printerName) {
+    const args = printerName ? ['-p', printerName, '-l'] : ['-l'];
+    try {
+      return CupsBackend.parseCapabilities(await this.run('lpoptions', args));
+    } catch (error) {
+      console.warn(`Could not read capabilities for ${printerName || 'default printer'}:`, error.message);
+      return super.getCapabilities(printerName);
+    }
+  }
+
+  /**
+   * Parse `lpoptions -l` output ("PageSize/Media Size: *Letter Legal A4")
+   */
+  static parseCapabilities(output) {
+    const choices = {};
+    (output || '').split('\n').forEach(line => {
+      const match = /^([^/:]+)[^:]*:\s*(.*)$/.exec(line.trim());
+      if (match) {
+        choices[match[1]] = match[2].split(/\s+/).filter(Boolean).map(choice => choice.replace(/^\*/, ''));
+      }
+    });
+
+    const duplex = choices.Duplex || choices.sides;
+    const color = choices.ColorModel || choices['print-color-mode'];
+    return {
+      duplex: duplex ? duplex.some(choice => !/^(None|one-sided|Off)$/i.test(choice)) : null,
+      color: color ? color.some(choice => !/^(Gray|Grayscale|Mono|Monochrome|Black|KGray)$/i.test(choice)) : null,
+      pageSizes: choices.PageSize || choices.media || [],
+      trays: choices.InputSlot || [],
+      resolutions: choices.Resolution || []
+    };
+  }
+
+  submit(filePath, printerName, { options }) {
+    const args = PrintOptions.toCupsArgs(options).join(' ');
+    const command = printerName
+      ? `lp -d "${printerName}" ${args} "${filePath}"`
+      : `lp ${args} "${filePath}"`;
+
+    console.log('Executing native print command:', command);
+    return new Promise((resolve, reject) => {
+      exec(command, { timeout: 30000 }, (error, stdout, stderr) => {
+        if (error) {
+          console.error('Native print failed:', stderr || error.message);
+          reject(PrintError.transient(stderr || error.message, 'PRINT_COMMAND_FAILED'));
+          return;
+        }
+        // CUPS reports the job it created; it is tracked until the printer finishes
+        resolve({ printerJobId: CupsJobTracker.parseJobId(stdout) });
+      });
+    });
+  }
+
+  submitRaw(filePath, printerName, { copies }) {
+    return this.rawPrinter.printCups(filePath, printerName, { copies });
+  }
+
+  track(printerJobId, handlers) {
+    return this.tracker.track(printerJobId, handlers);
+  }
+
+  /**
+   * Run a CUPS command and return stdout
+   */
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: 10000, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+}
+
+module.exports = CupsBackend;
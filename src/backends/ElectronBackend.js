@@ -0,0 +1,194 @@
+const { pathToFileURL } = require('url');
+const PrinterBackend = require('./PrinterBackend');
+const PrintError = require('../spooler/PrintError');
+
+const LOAD_TIMEOUT = 20000;
+const PDF_RENDER_DELAY = 1500; // Chromium's PDF viewer keeps rendering after the load event
+const DUPLEX_MODES = { simplex: 'simplex', 'long-edge': 'longEdge', 'short-edge': 'shortEdge' };
+
+/**
+ * ElectronBackend - Printer discovery and printing through Chromium
+ * Listing printers through Electron works on every platform, so it is always
+ * tried first. Printing this way is only used when `printBackend` is set to
+ * 'electron', since the native commands handle PDFs more reliably.
+ */
+class ElectronBackend extends PrinterBackend {
+  constructor() {
+    super('electron');
+  }
+
+  /**
+   * List printers from a hidden window's webContents
+   */
+  async listPrinters() {
+    try {
+      return (await this.getPrinters()).map(printer => {
+        const name = printer.name || printer.displayName || printer.description || 'Unknown Printer';
+        return PrinterBackend.printerInfo(name, printer);
+      });
+    } catch (error) {
+      console.warn('Electron printer detection failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read capabilities from the options the OS print system reports for a printer
+   * These are the same IPP / PPD-style keys CUPS uses (e.g. "media-supported" or
+   * "InputSlot"); drivers that report none leave every capability unknown.
+   */
+  async getCapabilities(printerName) {
+    try {
+      const printers = await this.getPrinters();
+      const printer = printers.find(candidate => (printerName ? candidate.name === printerName : candidate.isDefault));
+      return printer ? ElectronBackend.parseCapabilities(printer.options || {}) : super.getCapabilities(printerName);
+    } catch (error) {
+      console.warn(`Could not read capabilities for ${printerName || 'default printer'}:`, error.message);
+      return super.getCapabilities(printerName);
+    }
+  }
+
+  /**
+   * Parse a PrinterInfo `options` map; multi-valued options are comma or space separated
+   */
+  static parseCapabilities(options) {
+    const choices = (...keys) => {
+      const key = keys.find(candidate => options[candidate] !== undefined && options[candidate] !== '');
+      return key ? String(options[key]).split(/[,\s]+/).filter(Boolean).map(choice => choice.replace(/^\*/, '')) : null;
+    };
+
+    const duplex = choices('sides-supported', 'Duplex');
+    const colorSupported = options['color-supported'];
+    const color = choices('print-color-mode-supported', 'ColorModel');
+    return {
+      duplex: duplex ? duplex.some(choice => !/^(None|one-sided|Off)$/i.test(choice)) : null,
+      color: colorSupported !== undefined ? String(colorSupported) === 'true'
+        : color ? color.some(choice => !/^(Gray|Grayscale|Mono|Monochrome|Black|KGray)$/i.test(choice)) : null,
+      pageSizes: choices('media-supported', 'PageSize') || [],
+      trays: choices('media-source-supported', 'InputSlot') || [],
+      resolutions: choices('printer-resolution-supported', 'Resolution') || []
+    };
+  }
+
+  /**
+   * Get Electron's PrinterInfo list
+   * Discovery runs again every printerRefreshInterval, so an open window (normally
+   * the main window) is asked; a hidden window is only opened while none exists.
+   */
+  async getPrinters() {
+    const { BrowserWindow } = require('electron');
+    const openWindow = BrowserWindow.getAllWindows().find(window => !window.isDestroyed() && !window.webContents.isDestroyed());
+    if (openWindow) {
+      return this.readPrinters(openWindow.webContents);
+    }
+
+    const tempWindow = new BrowserWindow({ show: false });
+    try {
+      // Load a blank page to ensure webContents is ready
+      await Promise.race([
+        tempWindow.loadURL('data:text/html,<html><body></body></html>'),
+        new Promise((resolve, reject) => setTimeout(() => reject(new Error('Printer detection timeout')), 5000))
+      ]);
+      return await this.readPrinters(tempWindow.webContents);
+    } finally {
+      if (!tempWindow.isDestroyed()) {
+        tempWindow.close();
+      }
+    }
+  }
+
+  async readPrinters(webContents) {
+    let printers = [];
+    if (typeof webContents.getPrintersAsync === 'function') {
+      printers = await webContents.getPrintersAsync();
+    } else if (typeof webContents.getPrinters === 'function') {
+      // Older Electron versions
+      printers = webContents.getPrinters();
+    }
+    return printers || [];
+  }
+
+  /**
+   * Print a PDF from a hidden window with the PDF viewer plugin enabled
+   */
+  async submit(filePath, printerName, { options }) {
+    const { BrowserWindow } = require('electron');
+    const printWindow = new BrowserWindow({ show: false, webPreferences: { plugins: true } });
+
+    try {
+      await this.load(printWindow, filePath);
+      console.log(`Printing ${filePath} through Electron to ${printerName || 'default printer'}`);
+      await new Promise((resolve, reject) => {
+        printWindow.webContents.print(ElectronBackend.toPrintSettings(options, printerName), (success, reason) => {
+          if (success) {
+            resolve();
+          } else {
+            reject(PrintError.transient(`Electron print failed: ${reason}`, 'PRINT_COMMAND_FAILED'));
+          }
+        });
+      });
+      return { printerJobId: null };
+    } finally {
+      if (!printWindow.isDestroyed()) {
+        printWindow.close();
+      }
+    }
+  }
+
+  /**
+   * Load a file and wait for the PDF viewer to render it
+   */
+  async load(printWindow, filePath) {
+    let timeoutHandle = null;
+    try {
+      await Promise.race([
+        printWindow.loadURL(pathToFileURL(filePath).href),
+        new Promise((resolve, reject) => {
+          timeoutHandle = setTimeout(() => reject(PrintError.transient('PDF load timeout - PDF took too long to load', 'RENDER_TIMEOUT')), LOAD_TIMEOUT);
+        })
+      ]);
+    } catch (error) {
+      throw error instanceof PrintError ? error : PrintError.transient(`Failed to load PDF: ${error.message}`, 'RENDER_FAILED');
+    } finally {
+      clearTimeout(timeoutHandle);
+    }
+    await new Promise(resolve => setTimeout(resolve, PDF_RENDER_DELAY));
+  }
+
+  /**
+   * Translate normalized print options into webContents.print() settings
+   */
+  static toPrintSettings(options, printerName) {
+    const settings = {
+      silent: true,
+      printBackground: true,
+      copies: options.copies,
+      landscape: options.orientation === 'landscape'
+    };
+    if (printerName) {
+      settings.deviceName = printerName;
+    }
+    if (options.colorMode) {
+      settings.color = options.colorMode === 'color';
+    }
+    if (options.duplex) {
+      settings.duplexMode = DUPLEX_MODES[options.duplex];
+    }
+    if (options.collate !== null) {
+      settings.collate = options.collate;
+    }
+    if (options.pageSize) {
+      settings.pageSize = options.pageSize;
+    }
+    if (options.pageRanges) {
+      // Electron page ranges are 0-based
+      settings.pageRanges = options.pageRanges.split(',').map(range => {
+        const [from, to = from] = range.split('-').map(Number);
+        return { from: from - 1, to: to - 1 };
+      });
+    }
+    return settings;
+  }
+}
+
+module.exports = ElectronBackend;
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const PrinterBackend = require('./PrinterBackend');
+const PrintError = require('../spooler/PrintError');
+
+/**
+ * FileBackend - Virtual file printer that writes each job's output to a directory
+ * Lets the whole agent run on a machine with no printers (rehearsals, automated
+ * tests). Every job leaves the exact bytes a printer would have received plus a
+ * JSON sidecar describing where and how it was printed.
+ */
+class FileBackend extends PrinterBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.printerName - Name the virtual printer is listed under
+   * @param {string} options.directory - Where job output is written
+   */
+  constructor(options) {
+    super('file');
+    this.printerName = options.printerName;
+    this.directory = options.directory;
+  }
+
+  async listPrinters() {
+    return [PrinterBackend.printerInfo(this.printerName, { description: `Writes jobs to ${this.directory}` })];
+  }
+
+  // getCapabilities() reports nothing: the virtual printer stands in for whatever real
+  // printer a rehearsal targets, so no job is rejected for options it would support
+
+  submit(filePath, printerName, { options, docName }) {
+    return this.write(filePath, { printerName, docName, format: 'pdf', options });
+  }
+
+  submitRaw(filePath, printerName, { copies, docName, format }) {
+    return this.write(filePath, { printerName, docName, format, options: { copies } });
+  }
+
+  /**
+   * Copy the print data into the output directory with a JSON sidecar
+   * @returns {Promise<{printerJobId: null}>}
+   */
+  async write(filePath, { printerName, docName, format, options }) {
+    const baseName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${String(docName || 'job').replace(/[^A-Za-z0-9._-]/g, '_')}`;
+    const outputPath = path.join(this.directory, `${baseName}.${format}`);
+
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      fs.copyFileSync(filePath, outputPath);
+      fs.writeFileSync(path.join(this.directory, `${baseName}.json`), JSON.stringify({
+        docName: docName || null,
+        printer: this.printerName,
+        requestedPrinter: printerName || null,
+        format,
+        options,
+        bytes: fs.statSync(outputPath).size,
+        printedAt: new Date().toISOString()
+      }, null, 2));
+    } catch (error) {
+      throw PrintError.transient(`Virtual printer could not write ${outputPath}: ${error.message}`, 'PRINT_COMMAND_FAILED');
+    }
+
+    console.log(`Virtual printer wrote ${outputPath}`);
+    return { printerJobId: null };
+  }
+}
+
+module.exports = FileBackend;
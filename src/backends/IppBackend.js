@@ -0,0 +1,290 @@
+const fs = require('fs');
+const os = require('os');
+const PrinterBackend = require('./PrinterBackend');
+const IppMessage = require('./IppMessage');
+const IppJobTracker = require('./IppJobTracker');
+const PrintError = require('../spooler/PrintError');
+const PrintOptions = require('../spooler/PrintOptions');
+
+const DEFAULT_PORT = 631;
+const REQUEST_TIMEOUT = 30000;
+
+// IPP status codes that are worth retrying (everything else 0x04xx is the request's fault)
+const TRANSIENT_CLIENT_ERRORS = [0x0409]; // client-error-timeout
+const NOT_FOUND = 0x0406;
+// printer-state enum
+const PRINTER_STATES = { 3: 'idle', 4: 'printing', 5: 'stopped' };
+// resolution units
+const RESOLUTION_UNITS = { 3: 'dpi', 4: 'dpcm' };
+
+/**
+ * IppBackend - Prints straight to network printers over IPP / IPP Everywhere
+ * Printers are addressed by URI (`ipp://host[:port]/ipp/print`, or `ipps://` for TLS)
+ * either directly in printerName or through a name configured in `ippPrinters`.
+ * Nothing has to be installed on the machine: jobs are sent with Print-Job and
+ * followed with Get-Job-Attributes.
+ */
+class IppBackend extends PrinterBackend {
+  /**
+   * @param {Object} options
+   * @param {Object} options.printers - Configured printers, { name: 'ipp://...' }
+   * @param {number} options.pollInterval - Get-Job-Attributes poll interval while tracking a job
+   * @param {number} options.timeout - How long to wait for a job before cancelling it
+   */
+  constructor(options = {}) {
+    super('ipp');
+    this.printers = options.printers || {};
+    this.tracker = new IppJobTracker(this, options);
+    this.requestId = 0;
+  }
+
+  /**
+   * Check whether a printer name is an IPP URI
+   */
+  static isUri(printerName) {
+    return /^ipps?:\/\/[^/\s]+/i.test(printerName || '');
+  }
+
+  /**
+   * Map an IPP URI to the HTTP URL the request is posted to
+   */
+  static toHttpUrl(printerUri) {
+    const url = new URL(printerUri.replace(/^ipp(s?):/i, 'http$1:'));
+    if (!url.port) {
+      url.port = String(DEFAULT_PORT);
+    }
+    return url;
+  }
+
+  /**
+   * Build the id stored on a job for tracking ("<job-id>@<printer-uri>")
+   */
+  static formatJobRef(jobId, printerUri) {
+    return `${jobId}@${printerUri}`;
+  }
+
+  static parseJobRef(jobRef) {
+    const index = jobRef.indexOf('@');
+    return { jobId: Number(jobRef.slice(0, index)), printerUri: jobRef.slice(index + 1) };
+  }
+
+  /**
+   * Whether this backend prints to the given printer
+   */
+  handles(printerName) {
+    return IppBackend.isUri(printerName) || Boolean(this.printers[printerName]);
+  }
+
+  /**
+   * Resolve a configured printer name to its URI
+   */
+  getPrinterUri(printerName) {
+    const uri = IppBackend.isUri(printerName) ? printerName : this.printers[printerName];
+    if (!uri || !IppBackend.isUri(uri)) {
+      throw PrintError.permanent(`Invalid IPP printer: ${printerName}`, 'INVALID_PRINTER');
+    }
+    return uri;
+  }
+
+  async listPrinters() {
+    return Object.keys(this.printers).map(name =>
+      PrinterBackend.printerInfo(name, { description: this.printers[name] }));
+  }
+
+  async getCapabilities(printerName) {
+    const attributes = await this.getPrinterAttributes(this.getPrinterUri(printerName), [
+      'sides-supported', 'color-supported', 'media-supported', 'media-source-supported',
+      'printer-resolution-supported'
+    ]);
+    const list = (value) => (value === undefined || value === null ? [] : [].concat(value));
+    return {
+      duplex: list(attributes['sides-supported']).some(side => side !== 'one-sided'),
+      color: attributes['color-supported'] === undefined ? null : attributes['color-supported'] === true,
+      pageSizes: list(attributes['media-supported']),
+      trays: list(attributes['media-source-supported']),
+      resolutions: list(attributes['printer-resolution-supported']).map(IppBackend.formatResolution)
+    };
+  }
+
+  /**
+   * Write an IPP resolution the way PPDs do ("600dpi", "600x1200dpi")
+   */
+  static formatResolution({ x, y, units }) {
+    return `${x === y ? x : `${x}x${y}`}${RESOLUTION_UNITS[units] || 'dpi'}`;
+  }
+
+  /**
+   * Ask each configured printer for its state; an unreachable printer is offline
+   */
+  async getPrinterStates() {
+    return Promise.all(Object.keys(this.printers).map(async (name) => {
+      try {
+        const attributes = await this.getPrinterAttributes(this.getPrinterUri(name), [
+          'printer-state', 'printer-state-reasons', 'printer-state-message', 'printer-is-accepting-jobs'
+        ]);
+        const reasons = [].concat(attributes['printer-state-reasons'] || []);
+        return PrinterBackend.printerState(name, {
+          state: PRINTER_STATES[attributes['printer-state']] || 'unknown',
+          reasons: reasons.filter(reason => reason !== 'none'),
+          message: attributes['printer-state-message'] || '',
+          accepting: attributes['printer-is-accepting-jobs']
+        });
+      } catch (error) {
+        return PrinterBackend.printerState(name, { state: 'offline', reasons: ['offline-report'], message: error.message });
+      }
+    }));
+  }
+
+  /**
+   * Get a printer's attributes (printer-state, supported values, ...)
+   * @param {string[]} requested - Attribute names to ask for
+   */
+  async getPrinterAttributes(printerUri, requested) {
+    const response = await this.request(printerUri, 'Get-Printer-Attributes', {
+      operation: { 'requested-attributes': requested }
+    });
+    return response.groups.printer || {};
+  }
+
+  submit(filePath, printerName, { options, docName }) {
+    return this.printJob(printerName, filePath, {
+      docName,
+      format: 'application/pdf',
+      attributes: PrintOptions.toIppAttributes(options)
+    });
+  }
+
+  submitRaw(filePath, printerName, { copies, docName }) {
+    // Raw data is passed through untouched; the printer sees its own language
+    return this.printJob(printerName, filePath, {
+      docName,
+      format: 'application/octet-stream',
+      attributes: { copies }
+    });
+  }
+
+  /**
+   * Send a document with Print-Job
+   * @returns {Promise<{printerJobId: string}>} Job reference to track
+   */
+  async printJob(printerName, filePath, { docName, format, attributes }) {
+    const printerUri = this.getPrinterUri(printerName);
+    console.log(`Sending ${format} to ${printerUri} with IPP Print-Job`);
+
+    const response = await this.request(printerUri, 'Print-Job', {
+      operation: {
+        'job-name': docName || 'Print job',
+        'document-format': format
+      },
+      job: attributes
+    }, fs.readFileSync(filePath));
+
+    const job = response.groups.job || {};
+    if (!job['job-id']) {
+      throw PrintError.transient(`${printerUri} accepted the job but returned no job-id`, 'PRINT_COMMAND_FAILED');
+    }
+    return { printerJobId: IppBackend.formatJobRef(job['job-id'], printerUri) };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Job attributes, or null if the printer no longer knows the job
+   */
+  async getJobAttributes(jobRef) {
+    const { jobId, printerUri } = IppBackend.parseJobRef(jobRef);
+    try {
+      const response = await this.request(printerUri, 'Get-Job-Attributes', {
+        operation: { 'job-id': jobId, 'requested-attributes': ['job-state', 'job-state-reasons'] }
+      });
+      return response.groups.job || {};
+    } catch (error) {
+      if (error.ippStatus === NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async cancelJob(jobRef) {
+    const { jobId, printerUri } = IppBackend.parseJobRef(jobRef);
+    await this.request(printerUri, 'Cancel-Job', { operation: { 'job-id': jobId } });
+  }
+
+  track(printerJobId, handlers) {
+    return this.tracker.track(printerJobId, handlers);
+  }
+
+  /**
+   * Send an IPP request and decode the response
+   * @param {Object} groups - { operation: {...}, job: {...} }; charset, language, printer-uri and user are added
+   * @param {Buffer} [data] - Document data following the attributes
+   * @throws {PrintError} PRINTER_UNREACHABLE on connection problems, IPP_ERROR when the printer refuses
+   */
+  async request(printerUri, operation, groups, data = null) {
+    const body = IppMessage.encode({
+      code: IppMessage.OPERATIONS[operation],
+      requestId: ++this.requestId,
+      groups: {
+        operation: {
+          'attributes-charset': 'utf-8',
+          'attributes-natural-language': 'en',
+          'printer-uri': printerUri,
+          'requesting-user-name': os.userInfo().username,
+          ...groups.operation
+        },
+        ...(groups.job && Object.keys(groups.job).length > 0 ? { job: groups.job } : {})
+      },
+      data
+    });
+
+    const response = IppMessage.decode(await this.post(IppBackend.toHttpUrl(printerUri), body));
+    if (!IppMessage.isSuccess(response.code)) {
+      const operationGroup = response.groups.operation || {};
+      const message = operationGroup['status-message'] || `status 0x${response.code.toString(16).padStart(4, '0')}`;
+      const permanent = response.code >= 0x0400 && response.code < 0x0500 && !TRANSIENT_CLIENT_ERRORS.includes(response.code);
+      const error = new PrintError(`${operation} failed on ${printerUri}: ${message}`, { code: 'IPP_ERROR', permanent });
+      error.ippStatus = response.code;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * POST an IPP body over HTTP(S)
+   * @returns {Promise<Buffer>} Response body
+   */
+  post(url, body) {
+    const client = url.protocol === 'https:' ? require('https') : require('http');
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/ipp', 'Content-Length': body.length },
+        timeout: REQUEST_TIMEOUT
+      }, (response) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            // A wrong path or missing permission will not fix itself
+            const status = response.statusCode;
+            const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+            reject(new PrintError(`IPP request to ${url.host} failed: HTTP ${status}`, { code: 'PRINTER_UNREACHABLE', permanent }));
+            return;
+          }
+          resolve(Buffer.concat(chunks));
+        });
+      });
+
+      req.on('timeout', () => {
+        req.destroy(PrintError.transient(`IPP request to ${url.host} timed out`, 'PRINTER_UNREACHABLE'));
+      });
+      req.on('error', (error) => {
+        reject(error instanceof PrintError ? error
+          : PrintError.transient(`Cannot reach ${url.host}: ${error.message}`, 'PRINTER_UNREACHABLE'));
+      });
+      req.end(body);
+    });
+  }
+}
+
+module.exports = IppBackend;
@@ -0,0 +1,49 @@
+const CupsJobTracker = require('../spooler/CupsJobTracker');
+
+// IPP job-state enum values
+const JOB_STATES = {
+  3: 'pending',
+  4: 'held',
+  5: 'processing',
+  6: 'stopped',
+  7: 'canceled',
+  8: 'aborted',
+  9: 'completed'
+};
+
+/**
+ * IppJobTracker - Follows an IPP job with Get-Job-Attributes until it is done
+ * Uses the same polling, timeout and cancel rules as CUPS tracking; only the
+ * state lookup and cancel go over IPP instead of lpstat/cancel.
+ */
+class IppJobTracker extends CupsJobTracker {
+  /**
+   * @param {IppBackend} backend - Sends the IPP requests
+   * @param {Object} options - { pollInterval, timeout }
+   */
+  constructor(backend, options = {}) {
+    super(options);
+    this.backend = backend;
+  }
+
+  async getJobState(jobRef) {
+    const attributes = await this.backend.getJobAttributes(jobRef);
+    // A printer that no longer knows the job has finished and purged it
+    if (!attributes) {
+      return 'completed';
+    }
+    return JOB_STATES[attributes['job-state']] || 'pending';
+  }
+
+  async cancel(jobRef) {
+    try {
+      await this.backend.cancelJob(jobRef);
+      return true;
+    } catch (error) {
+      console.warn(`Failed to cancel IPP job ${jobRef}:`, error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = IppJobTracker;
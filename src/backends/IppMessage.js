@@ -0,0 +1,294 @@
+// IPP/1.1 binary encoding (RFC 8010). Only the parts the agent and its test
+// stand-in server need: operation, job and printer attribute groups with the
+// common value types, including collections (media-col).
+
+const OPERATIONS = {
+  'Print-Job': 0x0002,
+  'Cancel-Job': 0x0008,
+  'Get-Job-Attributes': 0x0009,
+  'Get-Printer-Attributes': 0x000b
+};
+
+const GROUPS = {
+  operation: 0x01,
+  job: 0x02,
+  end: 0x03,
+  printer: 0x04,
+  unsupported: 0x05
+};
+
+const TAGS = {
+  unsupported: 0x10,
+  unknown: 0x12,
+  noValue: 0x13,
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  octetString: 0x30,
+  dateTime: 0x31,
+  resolution: 0x32,
+  rangeOfInteger: 0x33,
+  begCollection: 0x34,
+  textWithLanguage: 0x35,
+  nameWithLanguage: 0x36,
+  endCollection: 0x37,
+  text: 0x41,
+  name: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  uriScheme: 0x46,
+  charset: 0x47,
+  naturalLanguage: 0x48,
+  mimeMediaType: 0x49,
+  memberAttrName: 0x4a
+};
+
+// Value tag for attributes the agent sends; anything not listed is a keyword
+const ATTRIBUTE_TAGS = {
+  'attributes-charset': TAGS.charset,
+  'attributes-natural-language': TAGS.naturalLanguage,
+  'printer-uri': TAGS.uri,
+  'job-uri': TAGS.uri,
+  'requesting-user-name': TAGS.name,
+  'job-name': TAGS.name,
+  'document-format': TAGS.mimeMediaType,
+  'job-id': TAGS.integer,
+  copies: TAGS.integer,
+  'orientation-requested': TAGS.enum,
+  'page-ranges': TAGS.rangeOfInteger,
+  'media-col': TAGS.begCollection,
+  'job-state': TAGS.enum,
+  'printer-state': TAGS.enum,
+  'job-state-message': TAGS.text,
+  'status-message': TAGS.text,
+  'printer-state-message': TAGS.text,
+  'printer-name': TAGS.name,
+  'printer-make-and-model': TAGS.text,
+  'color-supported': TAGS.boolean,
+  'printer-resolution-supported': TAGS.resolution,
+  'printer-is-accepting-jobs': TAGS.boolean,
+  'document-format-supported': TAGS.mimeMediaType,
+  'printer-uri-supported': TAGS.uri
+};
+
+const STATUS_OK = 0x0000;
+
+/**
+ * IppMessage - Encodes and decodes IPP requests and responses
+ * A message is { version, code, requestId, groups: { operation: {...}, job: {...} }, data }
+ * where `code` is the operation id (requests) or status code (responses) and each
+ * group maps attribute names to a value or an array of values.
+ */
+class IppMessage {
+  /**
+   * @returns {Buffer}
+   */
+  static encode({ version = 0x0200, code, requestId = 1, groups = {}, data = null }) {
+    const parts = [];
+    const header = Buffer.alloc(8);
+    header.writeUInt16BE(version, 0);
+    header.writeUInt16BE(code, 2);
+    header.writeUInt32BE(requestId, 4);
+    parts.push(header);
+
+    Object.keys(groups).forEach(group => {
+      if (!GROUPS[group]) {
+        throw new Error(`Unknown IPP attribute group: ${group}`);
+      }
+      parts.push(Buffer.from([GROUPS[group]]));
+      Object.entries(groups[group]).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) {
+          IppMessage.encodeAttribute(parts, name, value);
+        }
+      });
+    });
+    parts.push(Buffer.from([GROUPS.end]));
+
+    if (data) {
+      parts.push(data);
+    }
+    return Buffer.concat(parts);
+  }
+
+  static encodeAttribute(parts, name, value) {
+    const values = Array.isArray(value) ? value : [value];
+    const tag = ATTRIBUTE_TAGS[name] || (typeof values[0] === 'boolean' ? TAGS.boolean
+      : Number.isInteger(values[0]) ? TAGS.integer : TAGS.keyword);
+
+    values.forEach((item, index) => {
+      // Additional values of a multi-valued attribute have an empty name
+      IppMessage.encodeValue(parts, tag, index === 0 ? name : '', item);
+    });
+  }
+
+  static encodeValue(parts, tag, name, value) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    let valueBuffer;
+
+    switch (tag) {
+      case TAGS.integer:
+      case TAGS.enum:
+        valueBuffer = Buffer.alloc(4);
+        valueBuffer.writeInt32BE(value, 0);
+        break;
+      case TAGS.boolean:
+        valueBuffer = Buffer.from([value ? 1 : 0]);
+        break;
+      case TAGS.rangeOfInteger:
+        valueBuffer = Buffer.alloc(8);
+        valueBuffer.writeInt32BE(value.lower, 0);
+        valueBuffer.writeInt32BE(value.upper, 4);
+        break;
+      case TAGS.resolution:
+        valueBuffer = Buffer.alloc(9);
+        valueBuffer.writeInt32BE(value.x, 0);
+        valueBuffer.writeInt32BE(value.y, 4);
+        valueBuffer.writeUInt8(value.units, 8);
+        break;
+      case TAGS.begCollection:
+        parts.push(IppMessage.header(tag, nameBuffer, Buffer.alloc(0)));
+        Object.entries(value).forEach(([member, memberValue]) => {
+          const memberName = Buffer.from(member, 'utf8');
+          parts.push(IppMessage.header(TAGS.memberAttrName, Buffer.alloc(0), memberName));
+          const memberTag = ATTRIBUTE_TAGS[member] || (Number.isInteger(memberValue) ? TAGS.integer : TAGS.keyword);
+          IppMessage.encodeValue(parts, memberTag, '', memberValue);
+        });
+        parts.push(IppMessage.header(TAGS.endCollection, Buffer.alloc(0), Buffer.alloc(0)));
+        return;
+      default:
+        valueBuffer = Buffer.from(String(value), 'utf8');
+    }
+
+    parts.push(IppMessage.header(tag, nameBuffer, valueBuffer));
+  }
+
+  static header(tag, nameBuffer, valueBuffer) {
+    const buffer = Buffer.alloc(5 + nameBuffer.length + valueBuffer.length);
+    buffer.writeUInt8(tag, 0);
+    buffer.writeUInt16BE(nameBuffer.length, 1);
+    nameBuffer.copy(buffer, 3);
+    buffer.writeUInt16BE(valueBuffer.length, 3 + nameBuffer.length);
+    valueBuffer.copy(buffer, 5 + nameBuffer.length);
+    return buffer;
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @returns {Object} Message; single-valued attributes are plain values, others arrays
+   */
+  static decode(buffer) {
+    if (buffer.length < 9) {
+      throw new Error('IPP message is too short');
+    }
+
+    const message = {
+      version: buffer.readUInt16BE(0),
+      code: buffer.readUInt16BE(2),
+      requestId: buffer.readUInt32BE(4),
+      groups: {},
+      data: null
+    };
+    const groupNames = Object.fromEntries(Object.entries(GROUPS).map(([name, tag]) => [tag, name]));
+    const reader = { buffer, offset: 8 };
+    let group = null;
+    let lastName = null;
+
+    while (reader.offset < buffer.length) {
+      const tag = buffer.readUInt8(reader.offset);
+
+      if (tag === GROUPS.end) {
+        reader.offset++;
+        break;
+      }
+      if (tag < 0x10) {
+        // Delimiter: start of a new attribute group (groups may repeat, e.g. several jobs)
+        reader.offset++;
+        const groupName = groupNames[tag] || `group-${tag}`;
+        group = {};
+        message.groups[groupName] = message.groups[groupName] ? [].concat(message.groups[groupName], group) : group;
+        continue;
+      }
+
+      const { name, value } = IppMessage.readValue(reader);
+      if (!group) {
+        throw new Error('IPP attribute outside of an attribute group');
+      }
+      if (name) {
+        lastName = name;
+        group[name] = value;
+      } else if (lastName) {
+        group[lastName] = [].concat(group[lastName], [value]);
+      }
+    }
+
+    message.data = reader.offset < buffer.length ? buffer.slice(reader.offset) : null;
+    return message;
+  }
+
+  /**
+   * Read one value (recursing into collections)
+   */
+  static readValue(reader) {
+    const { buffer } = reader;
+    const tag = buffer.readUInt8(reader.offset);
+    const nameLength = buffer.readUInt16BE(reader.offset + 1);
+    const name = buffer.toString('utf8', reader.offset + 3, reader.offset + 3 + nameLength);
+    const valueOffset = reader.offset + 3 + nameLength;
+    const valueLength = buffer.readUInt16BE(valueOffset);
+    const raw = buffer.slice(valueOffset + 2, valueOffset + 2 + valueLength);
+    reader.offset = valueOffset + 2 + valueLength;
+
+    switch (tag) {
+      case TAGS.integer:
+      case TAGS.enum:
+        return { name, value: raw.readInt32BE(0) };
+      case TAGS.boolean:
+        return { name, value: raw[0] === 1 };
+      case TAGS.rangeOfInteger:
+        return { name, value: { lower: raw.readInt32BE(0), upper: raw.readInt32BE(4) } };
+      case TAGS.resolution:
+        return { name, value: { x: raw.readInt32BE(0), y: raw.readInt32BE(4), units: raw[8] } };
+      case TAGS.unsupported:
+      case TAGS.unknown:
+      case TAGS.noValue:
+        return { name, value: null };
+      case TAGS.begCollection:
+        return { name, value: IppMessage.readCollection(reader) };
+      case TAGS.octetString:
+      case TAGS.dateTime:
+        return { name, value: raw };
+      default:
+        return { name, value: raw.toString('utf8') };
+    }
+  }
+
+  static readCollection(reader) {
+    const collection = {};
+    let member = null;
+
+    while (reader.offset < reader.buffer.length) {
+      const tag = reader.buffer.readUInt8(reader.offset);
+      const { value } = IppMessage.readValue(reader);
+      if (tag === TAGS.endCollection) {
+        break;
+      }
+      if (tag === TAGS.memberAttrName) {
+        member = value;
+      } else if (member) {
+        collection[member] = collection[member] === undefined ? value : [].concat(collection[member], [value]);
+      }
+    }
+    return collection;
+  }
+
+  /**
+   * Whether a response status code means success
+   */
+  static isSuccess(status) {
+    return status >= STATUS_OK && status < 0x0100;
+  }
+}
+
+IppMessage.OPERATIONS = OPERATIONS;
+
+module.exports = IppMessage;
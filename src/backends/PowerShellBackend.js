@@ -0,0 +1,156 @@
+const { exec, execFile } = require('child_process');
+const PrinterBackend = require('./PrinterBackend');
+const PrintError = require('../spooler/PrintError');
+const RawPrinter = require('../spooler/RawPrinter');
+
+// Win32_Printer.PrinterStatus
+const WINDOWS_PRINTER_STATES = { 3: 'idle', 4: 'printing', 5: 'printing', 6: 'stopped', 7: 'offline' };
+// Win32_Printer.DetectedErrorState as IPP printer-state-reasons
+const WINDOWS_ERROR_REASONS = {
+  3: 'media-low-warning',
+  4: 'media-empty-error',
+  5: 'toner-low-warning',
+  6: 'toner-empty-error',
+  7: 'door-open-error',
+  8: 'media-jam-error',
+  9: 'offline-report',
+  10: 'other-error',
+  11: 'output-area-full-error'
+};
+
+/**
+ * PowerShellBackend - Windows printing without SumatraPDF
+ * Hands the PDF to the shell's "print" verb, falling back to Edge kiosk printing.
+ * Neither can apply print options, and the job cannot be tracked once submitted.
+ */
+class PowerShellBackend extends PrinterBackend {
+  constructor(name = 'powershell') {
+    super(name);
+    this.rawPrinter = new RawPrinter();
+  }
+
+  isAvailable() {
+    return process.platform === 'win32';
+  }
+
+  /**
+   * List Windows printers with wmic
+   */
+  async listPrinters() {
+    try {
+      const output = await this.run('wmic', ['printer', 'get', 'name,default', '/value']);
+      // Records are blank-line separated "Default=TRUE" / "Name=..." pairs
+      return output.split(/\r?\n\s*\r?\n/).map(record => {
+        const name = /Name=(.+)/.exec(record);
+        return name ? PrinterBackend.printerInfo(name[1].trim(), { isDefault: /Default=TRUE/i.test(record) }) : null;
+      }).filter(Boolean);
+    } catch (error) {
+      console.warn('Windows printer detection failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Read printer status, error state and Work Offline from Win32_Printer
+   */
+  async getPrinterStates() {
+    const script = 'Get-CimInstance Win32_Printer | ' +
+      'Select-Object Name, Default, PrinterStatus, DetectedErrorState, WorkOffline | ConvertTo-Json -Compress';
+    const output = await this.run('powershell', ['-NoProfile', '-Command', script]);
+    // A single printer comes back as an object rather than an array
+    const printers = [].concat(JSON.parse(output || 'null') || []);
+
+    return printers.map(printer => {
+      const reason = WINDOWS_ERROR_REASONS[printer.DetectedErrorState];
+      const offline = printer.WorkOffline === true || printer.PrinterStatus === 7 || printer.DetectedErrorState === 9;
+      return PrinterBackend.printerState(printer.Name, {
+        state: offline ? 'offline' : (WINDOWS_PRINTER_STATES[printer.PrinterStatus] || 'unknown'),
+        reasons: reason ? [reason] : [],
+        isDefault: printer.Default === true
+      });
+    });
+  }
+
+  /**
+   * Read paper names and duplex/color support from Win32_Printer
+   */
+  async getCapabilities(printerName) {
+    const filter = printerName ? `Name='${printerName.replace(/'/g, "''")}'` : 'Default=TRUE';
+    const script = `Get-CimInstance Win32_Printer -Filter "${filter.replace(/"/g, '`"')}" | ` +
+      'Select-Object CapabilityDescriptions, PrinterPaperNames | ConvertTo-Json -Compress';
+    try {
+      const info = JSON.parse(await this.run('powershell', ['-NoProfile', '-Command', script]) || 'null');
+      if (!info) {
+        return super.getCapabilities(printerName);
+      }
+      const capabilities = info.CapabilityDescriptions || [];
+      return {
+        duplex: capabilities.includes('Duplex'),
+        color: capabilities.includes('Color'),
+        pageSizes: info.PrinterPaperNames || [],
+        trays: [],
+        resolutions: []
+      };
+    } catch (error) {
+      console.warn(`Could not read capabilities for ${printerName || 'default printer'}:`, error.message);
+      return super.getCapabilities(printerName);
+    }
+  }
+
+  submit(filePath) {
+    console.warn('SumatraPDF not found, falling back to Edge kiosk printing (print options are not applied)');
+
+    const escapedPath = filePath.replace(/'/g, "''");
+    const command =
+      `powershell -NoProfile -ExecutionPolicy Bypass -Command ` +
+      `"try { ` +
+        `Start-Process -FilePath '${escapedPath}' -Verb Print -WindowStyle Hidden -ErrorAction Stop; ` +
+      `} catch { ` +
+        `$p = Start-Process 'msedge.exe' ` +
+          `-ArgumentList '--kiosk-printing','--print-to-default-printer','${escapedPath}' ` +
+          `-WindowStyle Hidden -PassThru; ` +
+        `Start-Sleep -Seconds 5; ` +
+        `if ($p -and !$p.HasExited) { $p.CloseMainWindow() | Out-Null; Start-Sleep -Seconds 1; if (!$p.HasExited) { Stop-Process -Id $p.Id -Force } } ` +
+      `}"`;
+    return this.execCommand(command);
+  }
+
+  submitRaw(filePath, printerName, { copies, docName }) {
+    return this.rawPrinter.printWindows(filePath, printerName, { copies, docName });
+  }
+
+  /**
+   * Run a print command line
+   * @returns {Promise<{printerJobId: null}>} Windows print commands give no job id to track
+   */
+  execCommand(command) {
+    console.log('Executing native print command:', command);
+    return new Promise((resolve, reject) => {
+      exec(command, { timeout: 30000 }, (error, stdout, stderr) => {
+        if (error) {
+          console.error('Native print failed:', stderr || error.message);
+          reject(PrintError.transient(stderr || error.message, 'PRINT_COMMAND_FAILED'));
+          return;
+        }
+        resolve({ printerJobId: null });
+      });
+    });
+  }
+
+  /**
+   * Run a query command and return stdout
+   */
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: 10000, maxBuffer: 1024 * 1024 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+}
+
+module.exports = PowerShellBackend;
@@ -0,0 +1,110 @@
+const PrintError = require('../spooler/PrintError');
+
+/**
+ * PrinterBackend - Interface every print path implements
+ * A backend lists printers, reports what they can do, submits files to them and
+ * (optionally) follows a submitted job until the printer finishes it.
+ * Printer names passed in are already resolved; null means the system default.
+ */
+class PrinterBackend {
+  /**
+   * @param {string} name - Backend id used in config and job records (e.g. 'cups')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether this backend can be used on this machine
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * List the printers this backend can print to
+   * @returns {Promise<Array<{name: string, displayName: string, description: string, status: number, isDefault: boolean}>>}
+   */
+  async listPrinters() {
+    return [];
+  }
+
+  /**
+   * Describe what a printer supports; null values and empty lists mean "unknown"
+   * @returns {Promise<{duplex: boolean|null, color: boolean|null, pageSizes: string[], trays: string[], resolutions: string[]}>}
+   */
+  async getCapabilities(printerName) {
+    return { duplex: null, color: null, pageSizes: [], trays: [], resolutions: [] };
+  }
+
+  /**
+   * Report the current state of this backend's printers
+   * `state` is idle, printing, stopped (disabled at the OS), offline or unknown; `reasons`
+   * are IPP printer-state-reasons keywords such as "media-empty-error" or "offline-report".
+   * @returns {Promise<Array<{name: string, state: string, reasons: string[], message: string, accepting: boolean|null, isDefault: boolean}>>}
+   *   Empty when the backend cannot tell
+   */
+  async getPrinterStates() {
+    return [];
+  }
+
+  /**
+   * Print a PDF file
+   * @param {string} filePath
+   * @param {string|null} printerName
+   * @param {Object} submission
+   * @param {Object} submission.options - Normalized PrintOptions
+   * @param {string} submission.docName - Name shown in the OS print queue
+   * @returns {Promise<{printerJobId: string|null}>} Id to track, or null if the backend cannot track jobs
+   */
+  async submit(filePath, printerName, submission) {
+    throw PrintError.permanent(`The ${this.name} backend cannot print documents`, 'UNSUPPORTED_JOB_TYPE');
+  }
+
+  /**
+   * Send a raw printer-language file (ZPL, EPL, ESC/POS) without conversion
+   * @param {Object} submission - { copies, docName, format }
+   * @returns {Promise<{printerJobId: string|null}>}
+   */
+  async submitRaw(filePath, printerName, submission) {
+    throw PrintError.permanent(`The ${this.name} backend cannot print raw jobs`, 'UNSUPPORTED_JOB_TYPE');
+  }
+
+  /**
+   * Wait until a submitted job is done at the printer
+   * @param {string} printerJobId - Id returned by submit/submitRaw
+   * @param {Object} handlers - { onState(state), isCancelled() }
+   */
+  async track(printerJobId, handlers) {
+    // Nothing to follow - the job is done once it has been submitted
+  }
+
+  /**
+   * Build a printer list entry with the fields the UI and API expect
+   */
+  static printerInfo(name, extra = {}) {
+    return {
+      name,
+      displayName: extra.displayName || name,
+      description: extra.description || '',
+      status: extra.status || 0,
+      isDefault: extra.isDefault || false
+    };
+  }
+
+  /**
+   * Build a printer state entry for getPrinterStates
+   */
+  static printerState(name, extra = {}) {
+    return {
+      name,
+      state: extra.state || 'unknown',
+      reasons: extra.reasons || [],
+      message: extra.message || '',
+      accepting: typeof extra.accepting === 'boolean' ? extra.accepting : null,
+      isDefault: extra.isDefault || false
+    };
+  }
+}
+
+module.exports = PrinterBackend;
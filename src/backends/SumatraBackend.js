@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const PowerShellBackend = require('./PowerShellBackend');
+const PrintOptions = require('../spooler/PrintOptions');
+
+/**
+ * SumatraBackend - Silent Windows printing through SumatraPDF
+ * Preferred on Windows whenever SumatraPDF can be found, since it applies print options.
+ * Printer listing and raw printing are shared with the PowerShell backend.
+ */
+class SumatraBackend extends PowerShellBackend {
+  /**
+   * @param {string|null} sumatraPath - User-configured SumatraPDF.exe, tried before the bundled copies
+   */
+  constructor(sumatraPath = null) {
+    super('sumatra');
+    this.sumatraPath = sumatraPath;
+  }
+
+  isAvailable() {
+    return process.platform === 'win32' && Boolean(this.getSumatraPath());
+  }
+
+  /**
+   * Resolve SumatraPDF path (prefer user-configured)
+   */
+  getSumatraPath() {
+    // 1) User-configured system installation (preferred)
+    if (this.sumatraPath) {
+      try {
+        if (fs.existsSync(this.sumatraPath)) {
+          return this.sumatraPath;
+        } else {
+          console.warn('Configured SumatraPDF path does not exist:', this.sumatraPath);
+        }
+      } catch {}
+    }
+
+    // 2) Bundled / fallback locations
+    const candidates = [
+      path.join(process.resourcesPath || '', 'sumatra', 'SumatraPDF.exe'),
+      path.join(__dirname, '..', '..', 'assets', 'windows', 'sumatra', 'SumatraPDF.exe'),
+      path.join(process.cwd(), 'sumatra', 'SumatraPDF.exe')
+    ];
+
+    for (const p of candidates) {
+      try {
+        if (p && fs.existsSync(p)) {
+          return p;
+        }
+      } catch {}
+    }
+
+    return null;
+  }
+
+  submit(filePath, printerName, { options }) {
+    const sumatra = this.getSumatraPath();
+    console.log('Using SumatraPDF for printing:', sumatra);
+
+    const settings = PrintOptions.toSumatraSettings(options);
+    const command = printerName
+      ? `"${sumatra}" -silent -print-to "${printerName}" -print-settings "${settings}" "${filePath}"`
+      : `"${sumatra}" -silent -print-to-default -print-settings "${settings}" "${filePath}"`;
+    return this.execCommand(command);
+  }
+}
+
+module.exports = SumatraBackend;
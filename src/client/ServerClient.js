@@ -15,12 +15,21 @@ class ServerClient {
     this.lastPollTime = null;
     this.heartbeatInterval = null;
     this.heartbeatIntervalMs = 45000; // Heartbeat every 45 seconds
+    this.templateSyncInterval = null;
     this.currentStatus = 'online';
     this.hostname = null;
     this.agentVersion = null;
+    this.statusProvider = null;
     this.initializeAgentInfo();
   }
 
+  /**
+   * Set a function returning the local spooler status, reported with each heartbeat
+   */
+  setStatusProvider(provider) {
+    this.statusProvider = provider;
+  }
+
   /**
    * Initialize agent information (hostname and version)
    */
@@ -265,6 +274,27 @@ class ServerClient {
         body.errorMessage = errorMessage;
       }
 
+      // Report pause state and printer health so the server knows why jobs are not printing
+      if (this.statusProvider) {
+        const spoolerStatus = this.statusProvider();
+        body.queuePaused = !!spoolerStatus.paused;
+        body.pausedPrinters = spoolerStatus.pausedPrinters || [];
+        body.printers = (spoolerStatus.printerHealth || []).map(health => ({
+          name: health.name,
+          state: health.state,
+          available: health.available,
+          reasons: health.reasons,
+          message: health.message || null,
+          since: health.since
+        }));
+        // Roles the server can send as printerRole instead of a venue-specific printerName
+        body.roles = (spoolerStatus.roles || []).map(role => ({
+          role: role.role,
+          printerName: role.printerName,
+          available: role.available
+        }));
+      }
+
       console.log(`Sending heartbeat to ${this.getServerBaseUrl()}/api/command-center/printing/heartbeat`);
       console.log(`Heartbeat payload:`, JSON.stringify(body, null, 2));
       const response = await this.makeRequest('POST', '/api/command-center/printing/heartbeat', body);
@@ -366,6 +396,68 @@ class ServerClient {
     }
   }
 
+  /**
+   * Fetch the latest document templates from the server
+   * @returns {Promise<Array>} Templates ({ name, version, html, ... }), empty on error
+   */
+  async fetchTemplates() {
+    if (!this.isConfigured()) {
+      return [];
+    }
+
+    try {
+      const response = await this.makeRequest('GET', '/api/command-center/printing/templates');
+
+      if (response.status === 200 && Array.isArray(response.data.templates)) {
+        return response.data.templates;
+      } else if (response.status === 404) {
+        // Endpoint might not exist, nothing to sync
+        return [];
+      } else {
+        console.error(`Template sync: server returned status ${response.status}:`, response.data);
+        return [];
+      }
+    } catch (error) {
+      console.error('Error fetching templates from server:', error.message || error);
+      return [];
+    }
+  }
+
+  /**
+   * Start pulling templates from the server at the configured interval
+   * @param {Function} callback - (templates) => void, called with each non-empty fetch
+   */
+  startTemplateSync(callback) {
+    this.stopTemplateSync();
+
+    if (!this.isConfigured() || !this.configManager.get('templateSync', false)) {
+      return;
+    }
+
+    const intervalMs = this.configManager.get('templateSyncInterval', 300000);
+    console.log(`Starting template sync every ${intervalMs}ms`);
+
+    const sync = async () => {
+      const templates = await this.fetchTemplates();
+      if (templates.length > 0 && callback) {
+        callback(templates);
+      }
+    };
+
+    sync();
+    this.templateSyncInterval = setInterval(sync, intervalMs);
+  }
+
+  /**
+   * Stop pulling templates
+   */
+  stopTemplateSync() {
+    if (this.templateSyncInterval) {
+      clearInterval(this.templateSyncInterval);
+      this.templateSyncInterval = null;
+    }
+  }
+
   /**
    * Start polling server for print jobs
    */
@@ -415,11 +507,12 @@ class ServerClient {
   }
 
   /**
-   * Stop all server communication (polling and heartbeat)
+   * Stop all server communication (polling, heartbeat and template sync)
    */
   stop() {
     this.stopPolling();
     this.stopHeartbeat();
+    this.stopTemplateSync();
   }
 
   /**
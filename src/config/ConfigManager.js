@@ -24,7 +24,31 @@ class ConfigManager {
       defaultPrinter: null,
       maxRetries: 3,
       retryDelay: 5000,
+      maxRetryDelay: 300000,
       maxQueueSize: 100,
+      maxHistorySize: 200,
+      idempotencyWindow: 86400000, // 24 hours
+      workerConcurrency: 1,
+      printerPools: {}, // Named printer pools, e.g. { 'registration-desk': ['HP_1', 'HP_2'] }
+      poolFailureCooldown: 60000,
+      printerRoles: {}, // Logical roles mapped to printers or pools, e.g. { badges: 'Zebra_ZD420' }
+      printBackend: 'auto', // auto | cups | sumatra | powershell | electron | file
+      virtualPrinter: false, // List a virtual printer that writes jobs to virtualPrinterDir
+      virtualPrinterName: 'Virtual File Printer',
+      virtualPrinterDir: null, // Defaults to <userData>/virtual-printer
+      ippPrinters: {}, // Network printers reached over IPP, e.g. { 'Venue Laser': 'ipp://192.168.1.50/ipp/print' }
+      trackPrinterJobs: true,
+      printerJobPollInterval: 2000,
+      printerJobTimeout: 600000,
+      printerMonitorInterval: 15000, // How often printer health is checked (0 = off)
+      printerRefreshInterval: 30000, // How often printers are rediscovered (0 = only at start)
+      queuePaused: false,
+      pausedPrinters: [],
+      maxPdfBytes: 52428800, // 50 MB
+      maxPdfPages: 500,
+      allowEncryptedPdf: false,
+      templateSync: false, // Pull document templates from the server
+      templateSyncInterval: 300000,
       autoStart: true,
       serverBaseUrl: '', // Remote server base URL (e.g., 'http://example.com:8080')
       apiKey: '' // API key for server authentication
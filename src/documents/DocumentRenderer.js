@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { BrowserWindow, app } = require('electron');
+const { PDFDocument } = require('pdf-lib');
+const PrintError = require('../spooler/PrintError');
+const PrintOptions = require('../spooler/PrintOptions');
+
+const RENDER_TIMEOUT = 30000;
+const PDF_RENDER_DELAY = 1500; // Chromium's PDF viewer keeps rendering after the load event
+const PREVIEW_DPI = 96;
+const MAX_PREVIEW_SIZE = 1600; // Longest side of the preview window in pixels
+const RENDER_IDLE_TIMEOUT = 60000; // Close the render window after a minute without renders
+// Page sizes printToPDF knows by name; anything else is passed as a size
+const PDF_PAGE_SIZES = ['A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6', 'Legal', 'Letter', 'Tabloid', 'Ledger'];
+const MM_PER_INCH = 25.4;
+
+/**
+ * DocumentRenderer - Renders HTML content or a web page to PDF in a hidden window
+ * The PDF then goes through the same native print path as PDF jobs, so HTML
+ * jobs never open a print dialog. The same hidden window renders PDF pages to
+ * PNG previews. It is kept open between renders, which run one at a time.
+ */
+class DocumentRenderer {
+  constructor() {
+    this.renderWindow = null;
+    this.renderIdleTimer = null;
+    this.renderQueue = Promise.resolve();
+  }
+
+  /**
+   * Convert job margins to printToPDF margins (inches)
+   * Accepts { marginType: 'none' | 'default' } or { top, bottom, left, right } in inches.
+   */
+  static toPdfMargins(margins) {
+    if (!margins || margins.marginType === 'default') {
+      return undefined; // Electron default (~0.4in)
+    }
+    if (margins.marginType === 'none') {
+      return { top: 0, bottom: 0, left: 0, right: 0 };
+    }
+
+    const result = {};
+    ['top', 'bottom', 'left', 'right'].forEach(side => {
+      if (typeof margins[side] === 'number') {
+        result[side] = margins[side];
+      }
+    });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+
+  /**
+   * Convert a job's pageSize to a printToPDF pageSize
+   * Sizes printToPDF does not know by name ("4x6", "iso_a7_74x105mm", "Custom.100x150mm")
+   * are passed as { width, height } in inches, the unit printToPDF takes.
+   * @throws {PrintError} When the size is neither a known name nor has dimensions in it
+   */
+  static toPdfPageSize(pageSize) {
+    if (!pageSize) {
+      return 'A4';
+    }
+    const named = PDF_PAGE_SIZES.find(name => name.toLowerCase() === pageSize.toLowerCase());
+    if (named) {
+      return named;
+    }
+
+    // Dimensions are the last part of a PWG keyword, or the whole name ("4x6" is in inches)
+    for (const name of PrintOptions.mediaNames(pageSize)) {
+      const match = /^(?:custom\.)?(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)(in|mm)?$/i.exec(name.split('_').pop());
+      if (match) {
+        const toInches = (match[3] || 'in').toLowerCase() === 'mm' ? 1 / MM_PER_INCH : 1;
+        return { width: Number(match[1]) * toInches, height: Number(match[2]) * toInches };
+      }
+    }
+    throw PrintError.permanent(`pageSize "${pageSize}" cannot be rendered (use a name such as A4 or a size such as 4x6)`, 'UNSUPPORTED_OPTION');
+  }
+
+  /**
+   * Render job content to a PDF
+   * @param {Object} jobData - Uses html, url or htmlPath (a local HTML file), plus pageSize,
+   *   margins, orientation and printBackground
+   * @returns {Promise<Buffer>} PDF data
+   */
+  async renderToPDF(jobData) {
+    if (!jobData.html && !jobData.url && !jobData.htmlPath) {
+      throw PrintError.permanent('No print content provided', 'NO_CONTENT');
+    }
+    const pageSize = DocumentRenderer.toPdfPageSize(jobData.pageSize);
+
+    return this.withRenderWindow(null, async (renderWindow) => {
+      await this.load(renderWindow, jobData);
+      return renderWindow.webContents.printToPDF({
+        pageSize,
+        margins: DocumentRenderer.toPdfMargins(jobData.margins),
+        printBackground: jobData.printBackground !== false,
+        landscape: jobData.orientation === 'landscape'
+      });
+    });
+  }
+
+  /**
+   * Render one page of a PDF to a PNG image
+   * The page is split out with pdf-lib and shown alone in a hidden window sized to
+   * the page, so the capture is just that page without viewer chrome.
+   * @param {Buffer} pdfData
+   * @param {Object} options
+   * @param {number} options.page - 1-based page number (default 1)
+   * @param {number} [options.width] - Scale the image to this width in pixels
+   * @returns {Promise<{png: Buffer, page: number, pageCount: number}>}
+   */
+  async renderPreview(pdfData, { page = 1, width } = {}) {
+    let source;
+    try {
+      source = await PDFDocument.load(pdfData, { ignoreEncryption: true, updateMetadata: false });
+    } catch (error) {
+      throw PrintError.permanent(`PDF could not be read: ${error.message}`, 'PDF_UNREADABLE');
+    }
+
+    const pageCount = source.getPageCount();
+    if (page < 1 || page > pageCount) {
+      throw PrintError.permanent(`Page ${page} is out of range (document has ${pageCount} pages)`, 'PAGE_OUT_OF_RANGE');
+    }
+
+    const single = await PDFDocument.create();
+    const [copied] = await single.copyPages(source, [page - 1]);
+    single.addPage(copied);
+
+    // Size the window to the page as it is displayed (rotated pages swap sides)
+    const size = copied.getSize();
+    const rotated = copied.getRotation().angle % 180 !== 0;
+    const pageWidth = rotated ? size.height : size.width;
+    const pageHeight = rotated ? size.width : size.height;
+    const scale = Math.min(PREVIEW_DPI / 72, MAX_PREVIEW_SIZE / Math.max(pageWidth, pageHeight));
+
+    const pdfPath = path.join(app.getPath('temp'), `preview_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.pdf`);
+    fs.writeFileSync(pdfPath, await single.save());
+
+    try {
+      return await this.withRenderWindow({ width: Math.round(pageWidth * scale), height: Math.round(pageHeight * scale) }, async (previewWindow) => {
+        await this.load(previewWindow, { url: `${pathToFileURL(pdfPath).href}#toolbar=0&navpanes=0&scrollbar=0&view=Fit` });
+        await new Promise(resolve => setTimeout(resolve, PDF_RENDER_DELAY));
+
+        let image = await previewWindow.webContents.capturePage();
+        if (image.isEmpty()) {
+          throw PrintError.transient('Preview window produced an empty image', 'PREVIEW_FAILED');
+        }
+        if (width && width < image.getSize().width) {
+          image = image.resize({ width, quality: 'good' });
+        }
+        return { png: image.toPNG(), page, pageCount };
+      });
+    } finally {
+      try { fs.unlinkSync(pdfPath); } catch {}
+    }
+  }
+
+  /**
+   * Run a render in the shared hidden window, after any render already running
+   * @param {{width: number, height: number}|null} size - Content size the render needs (null = any)
+   * @param {Function} render - async (renderWindow) => result
+   */
+  withRenderWindow(size, render) {
+    const run = this.renderQueue.then(async () => {
+      try {
+        return await render(this.getRenderWindow(size));
+      } catch (error) {
+        // Start the next render in a fresh window rather than one stuck mid-load
+        this.closeRenderWindow();
+        throw error;
+      } finally {
+        this.scheduleRenderIdleClose();
+      }
+    });
+    // Keep the queue going whether or not this render fails
+    this.renderQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the hidden render window, creating it if needed
+   */
+  getRenderWindow(size) {
+    if (this.renderIdleTimer) {
+      clearTimeout(this.renderIdleTimer);
+      this.renderIdleTimer = null;
+    }
+    if (!this.renderWindow || this.renderWindow.isDestroyed()) {
+      this.renderWindow = new BrowserWindow({
+        show: false,
+        useContentSize: true,
+        ...(size || {}),
+        webPreferences: { plugins: true }
+      });
+    } else if (size) {
+      this.renderWindow.setContentSize(size.width, size.height);
+    }
+    return this.renderWindow;
+  }
+
+  scheduleRenderIdleClose() {
+    if (this.renderIdleTimer) {
+      clearTimeout(this.renderIdleTimer);
+      this.renderIdleTimer = null;
+    }
+    if (!this.renderWindow) {
+      return;
+    }
+    this.renderIdleTimer = setTimeout(() => this.closeRenderWindow(), RENDER_IDLE_TIMEOUT);
+  }
+
+  /**
+   * Close the render window (a hidden window would otherwise keep the app from quitting)
+   */
+  closeRenderWindow() {
+    if (this.renderIdleTimer) {
+      clearTimeout(this.renderIdleTimer);
+      this.renderIdleTimer = null;
+    }
+    if (this.renderWindow && !this.renderWindow.isDestroyed()) {
+      this.renderWindow.destroy();
+    }
+    this.renderWindow = null;
+  }
+
+  /**
+   * Load HTML, a URL or a local HTML file into the window and wait for it to finish loading
+   */
+  load(renderWindow, jobData) {
+    return new Promise((resolve, reject) => {
+      const { webContents } = renderWindow;
+      // Windows are reused for previews, so drop whichever listener did not fire
+      const done = () => {
+        clearTimeout(timeoutHandle);
+        webContents.removeListener('did-finish-load', onLoad);
+        webContents.removeListener('did-fail-load', onFail);
+      };
+      const onLoad = () => {
+        done();
+        resolve();
+      };
+      const onFail = (event, errorCode, errorDescription) => {
+        done();
+        reject(PrintError.transient(`Failed to load content: ${errorDescription}`, 'RENDER_FAILED'));
+      };
+      const timeoutHandle = setTimeout(() => {
+        done();
+        reject(PrintError.transient('Timed out rendering print content', 'RENDER_TIMEOUT'));
+      }, RENDER_TIMEOUT);
+
+      webContents.once('did-finish-load', onLoad);
+      webContents.once('did-fail-load', onFail);
+
+      // Load errors are reported through did-fail-load
+      if (jobData.htmlPath) {
+        renderWindow.loadFile(jobData.htmlPath).catch(() => {});
+        return;
+      }
+      const url = jobData.html
+        ? `data:text/html;charset=utf-8,${encodeURIComponent(jobData.html)}`
+        : jobData.url;
+      renderWindow.loadURL(url).catch(() => {});
+    });
+  }
+}
+
+module.exports = DocumentRenderer;
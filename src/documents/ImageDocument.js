@@ -0,0 +1,142 @@
+const fs = require('fs');
+const PrintError = require('../spooler/PrintError');
+
+const DOWNLOAD_TIMEOUT = 30000;
+const IMAGE_FITS = ['fit', 'fill', 'actual'];
+
+// object-fit / sizing for each layout: fit = whole image as large as possible,
+// fill = cover the page (cropping the overflow), actual = natural size, centered
+const FIT_STYLES = {
+  fit: 'width: 100%; height: 100%; object-fit: contain;',
+  fill: 'width: 100%; height: 100%; object-fit: cover;',
+  actual: 'flex: none;'
+};
+
+/**
+ * ImageDocument - Loads PNG/JPEG job images and lays them out on a page
+ * The page is rendered to PDF by DocumentRenderer so images print through the
+ * same native path as PDF jobs.
+ */
+class ImageDocument {
+  /**
+   * Check whether a layout value is supported
+   */
+  static isValidFit(imageFit) {
+    return IMAGE_FITS.includes(imageFit);
+  }
+
+  /**
+   * Detect the image type from its first bytes
+   * @returns {string|null} 'png' | 'jpeg', or null if the data is neither
+   */
+  static detectType(buffer) {
+    if (buffer.length > 8 && buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+      return 'png';
+    }
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      return 'jpeg';
+    }
+    return null;
+  }
+
+  /**
+   * Load a job's image from imageBase64, imagePath or imageUrl
+   * @returns {Promise<{data: Buffer, type: string}>}
+   */
+  static async load(jobData) {
+    let data;
+    if (jobData.imageBase64) {
+      data = Buffer.from(jobData.imageBase64.replace(/^data:image\/[a-z+]+;base64,/i, ''), 'base64');
+    } else if (jobData.imagePath) {
+      if (!fs.existsSync(jobData.imagePath)) {
+        throw PrintError.permanent(`Image file not found: ${jobData.imagePath}`, 'IMAGE_NOT_FOUND');
+      }
+      data = fs.readFileSync(jobData.imagePath);
+    } else if (jobData.imageUrl) {
+      data = await ImageDocument.download(jobData.imageUrl);
+    } else {
+      throw PrintError.permanent('No valid image source provided', 'NO_SOURCE');
+    }
+
+    const type = ImageDocument.detectType(data);
+    if (!type) {
+      throw PrintError.permanent('Image must be a PNG or JPEG', 'IMAGE_INVALID');
+    }
+    return { data, type };
+  }
+
+  /**
+   * Download an image
+   * @returns {Promise<Buffer>}
+   */
+  static download(imageUrl) {
+    return new Promise((resolve, reject) => {
+      let parsedUrl;
+      try {
+        parsedUrl = new URL(imageUrl);
+      } catch {
+        reject(PrintError.permanent(`Invalid URL: ${imageUrl}`, 'DOWNLOAD_FAILED'));
+        return;
+      }
+      const client = parsedUrl.protocol === 'https:' ? require('https') : require('http');
+
+      let downloadTimeout = null;
+      const req = client.get(imageUrl, (response) => {
+        if (response.statusCode !== 200) {
+          clearTimeout(downloadTimeout);
+          response.resume();
+          // 4xx (other than timeout / rate limit) means the URL itself is wrong
+          const status = response.statusCode;
+          const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+          reject(new PrintError(`Failed to download image: HTTP ${status}`, { code: 'DOWNLOAD_FAILED', permanent }));
+          return;
+        }
+
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => {
+          clearTimeout(downloadTimeout);
+          resolve(Buffer.concat(chunks));
+        });
+      });
+
+      req.on('error', (error) => {
+        clearTimeout(downloadTimeout);
+        reject(PrintError.transient(`Failed to download image: ${error.message}`, 'DOWNLOAD_FAILED'));
+      });
+
+      downloadTimeout = setTimeout(() => {
+        req.destroy();
+        reject(PrintError.transient('Image download timeout - download took too long', 'DOWNLOAD_TIMEOUT'));
+      }, DOWNLOAD_TIMEOUT);
+    });
+  }
+
+  /**
+   * Build a single-page HTML document showing the image
+   * @param {string} imageFileUrl - file:// URL of the image
+   * @param {string} imageFit - fit | fill | actual (default fit)
+   */
+  static toHTML(imageFileUrl, imageFit) {
+    const fit = imageFit == null ? 'fit' : imageFit;
+    // Printing with another layout than the one asked for wastes labels and paper
+    if (!ImageDocument.isValidFit(fit)) {
+      throw PrintError.permanent(`Unsupported imageFit: ${fit}`, 'INVALID_IMAGE_FIT');
+    }
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>
+  html, body { margin: 0; padding: 0; width: 100%; height: 100%; }
+  .page { display: flex; align-items: center; justify-content: center;
+          width: 100vw; height: 100vh; overflow: hidden; page-break-inside: avoid; }
+  img { display: block; ${FIT_STYLES[fit]} }
+</style>
+</head>
+<body><div class="page"><img src="${imageFileUrl}"></div></body>
+</html>`;
+  }
+}
+
+module.exports = ImageDocument;
@@ -0,0 +1,212 @@
+const { PDFDocument, degrees } = require('pdf-lib');
+const PrintError = require('../spooler/PrintError');
+
+const N_UP_VALUES = [2, 4, 6];
+const SHEET_MARGIN = 18; // Points around the sheet, clear of most printers' unprintable edge
+const GUTTER = 12; // Points between pages on a sheet
+
+/**
+ * PdfImposer - Lays out several pages per sheet (N-up) or as a folded booklet
+ * Done on the PDF itself so the result is the same on every backend, instead of
+ * relying on each driver's number-up support. Job fields:
+ *   nUp: 2 | 4 | 6   - pages per sheet, left to right then top to bottom
+ *   booklet: true    - 2-up in saddle-stitch order; print duplex and fold in half
+ *   scale: 0.1-1     - shrink each page inside its slot (default 1 fills the slot)
+ */
+class PdfImposer {
+  /**
+   * Check a job's layout fields
+   * @returns {string[]} Validation errors (empty when the layout is valid)
+   */
+  static validate(jobData) {
+    const errors = [];
+    if (jobData.nUp !== undefined && !N_UP_VALUES.includes(jobData.nUp)) {
+      errors.push(`nUp must be one of ${N_UP_VALUES.join(', ')}`);
+    }
+    if (jobData.booklet !== undefined && typeof jobData.booklet !== 'boolean') {
+      errors.push('booklet must be true or false');
+    }
+    if (jobData.booklet === true && jobData.nUp !== undefined) {
+      errors.push('booklet and nUp cannot be combined (a booklet is always 2-up)');
+    }
+    if (jobData.scale !== undefined && (typeof jobData.scale !== 'number' || jobData.scale < 0.1 || jobData.scale > 1)) {
+      errors.push('scale must be a number between 0.1 and 1');
+    }
+    return errors;
+  }
+
+  /**
+   * Whether a job asks for its pages to be rearranged or scaled
+   */
+  static hasLayout(jobData) {
+    return N_UP_VALUES.includes(jobData.nUp) || jobData.booklet === true ||
+      (typeof jobData.scale === 'number' && jobData.scale < 1);
+  }
+
+  /**
+   * Lay out a PDF's pages onto new sheets
+   * @param {Buffer} pdfData
+   * @param {Object} layout - { nUp, booklet, scale }
+   * @returns {Promise<Buffer>} The imposed PDF
+   */
+  static async apply(pdfData, { nUp, booklet, scale } = {}) {
+    let source;
+    try {
+      source = await PDFDocument.load(pdfData, { ignoreEncryption: true, updateMetadata: false });
+    } catch (error) {
+      throw PrintError.permanent(`PDF could not be read: ${error.message}`, 'PDF_UNREADABLE');
+    }
+    if (source.isEncrypted) {
+      throw PrintError.permanent('Encrypted PDFs cannot be laid out', 'PDF_ENCRYPTED');
+    }
+
+    try {
+      return await PdfImposer.impose(source, { nUp, booklet, scale });
+    } catch (error) {
+      if (error instanceof PrintError) {
+        throw error;
+      }
+      throw PrintError.permanent(`PDF could not be laid out: ${error.message}`, 'PDF_UNREADABLE');
+    }
+  }
+
+  /**
+   * Build the imposed PDF from a loaded source document
+   */
+  static async impose(source, { nUp, booklet, scale }) {
+    const output = await PDFDocument.create();
+    const sourcePages = source.getPages();
+    const boxes = sourcePages.map(page => page.getCropBox());
+    // pdf-lib cannot embed a page without /Contents (a blank page); its slot is left empty
+    const withContent = sourcePages.filter(page => page.node.Contents());
+    const embedded = await output.embedPages(withContent, withContent.map(page => {
+      const box = boxes[sourcePages.indexOf(page)];
+      return { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height };
+    }));
+    const pages = sourcePages.map((page, index) => ({
+      embedded: embedded[withContent.indexOf(page)] || null,
+      width: boxes[index].width,
+      height: boxes[index].height,
+      rotation: ((page.getRotation().angle % 360) + 360) % 360
+    }));
+
+    const perSheet = booklet ? 2 : (nUp || 1);
+    const order = booklet ? PdfImposer.bookletOrder(pages.length) : pages.map((page, index) => index);
+    // With several pages per sheet the grid comes from the first page so every sheet matches
+    const grid = PdfImposer.chooseGrid(PdfImposer.displaySize(pages[0]), perSheet);
+
+    for (let start = 0; start < order.length; start += perSheet) {
+      const sheetGrid = perSheet === 1 ? PdfImposer.chooseGrid(PdfImposer.displaySize(pages[order[start]]), 1) : grid;
+      const sheet = output.addPage([sheetGrid.sheetWidth, sheetGrid.sheetHeight]);
+      order.slice(start, start + perSheet).forEach((pageIndex, slot) => {
+        if (pageIndex !== null && pages[pageIndex] && pages[pageIndex].embedded) {
+          PdfImposer.place(sheet, pages[pageIndex], sheetGrid, slot, scale || 1);
+        }
+      });
+    }
+
+    return Buffer.from(await output.save());
+  }
+
+  /**
+   * Page order for a saddle-stitched booklet, two pages per side
+   * Pads to a multiple of four with blanks (null). Each sheet is printed front
+   * [last, first] and back [second, second-to-last], counting inwards.
+   */
+  static bookletOrder(pageCount) {
+    const padded = Math.ceil(pageCount / 4) * 4;
+    const order = [];
+    for (let i = 0; i < padded / 2; i += 2) {
+      order.push(padded - 1 - i, i, i + 1, padded - 2 - i);
+    }
+    return order.map(index => (index < pageCount ? index : null));
+  }
+
+  /**
+   * Size of a page as it is displayed (rotated pages swap sides)
+   */
+  static displaySize({ width, height, rotation }) {
+    return rotation === 90 || rotation === 270
+      ? { width: height, height: width }
+      : { width, height };
+  }
+
+  /**
+   * Pick the sheet orientation and columns x rows that print the pages largest
+   * The sheet has the first page's size, portrait or landscape.
+   */
+  static chooseGrid(pageSize, perSheet) {
+    const shortSide = Math.min(pageSize.width, pageSize.height);
+    const longSide = Math.max(pageSize.width, pageSize.height);
+    if (perSheet === 1) {
+      return PdfImposer.grid(pageSize.width, pageSize.height, 1, 1, pageSize);
+    }
+
+    let best = null;
+    [[shortSide, longSide], [longSide, shortSide]].forEach(([sheetWidth, sheetHeight]) => {
+      for (let columns = 1; columns <= perSheet; columns++) {
+        if (perSheet % columns === 0) {
+          const candidate = PdfImposer.grid(sheetWidth, sheetHeight, columns, perSheet / columns, pageSize);
+          if (!best || candidate.fit > best.fit) {
+            best = candidate;
+          }
+        }
+      }
+    });
+    return best;
+  }
+
+  static grid(sheetWidth, sheetHeight, columns, rows, pageSize) {
+    // A single page keeps its full sheet; margins only matter once pages are shrunk onto one
+    const margin = columns * rows === 1 ? 0 : SHEET_MARGIN;
+    const gutter = columns * rows === 1 ? 0 : GUTTER;
+    const cellWidth = (sheetWidth - 2 * margin - (columns - 1) * gutter) / columns;
+    const cellHeight = (sheetHeight - 2 * margin - (rows - 1) * gutter) / rows;
+    return {
+      sheetWidth,
+      sheetHeight,
+      columns,
+      rows,
+      margin,
+      gutter,
+      cellWidth,
+      cellHeight,
+      fit: Math.min(cellWidth / pageSize.width, cellHeight / pageSize.height)
+    };
+  }
+
+  /**
+   * Draw a page centred in its slot, scaled to fit and turned upright
+   */
+  static place(sheet, page, grid, slot, scale) {
+    const { width, height } = PdfImposer.displaySize(page);
+    const factor = Math.min(grid.cellWidth / width, grid.cellHeight / height) * scale;
+    const drawnWidth = width * factor;
+    const drawnHeight = height * factor;
+
+    const column = slot % grid.columns;
+    const row = Math.floor(slot / grid.columns);
+    // Slots fill from the top row down; PDF y grows upwards
+    const x = grid.margin + column * (grid.cellWidth + grid.gutter) + (grid.cellWidth - drawnWidth) / 2;
+    const y = grid.sheetHeight - grid.margin - (row + 1) * grid.cellHeight - row * grid.gutter +
+      (grid.cellHeight - drawnHeight) / 2;
+
+    // Counter the page's /Rotate, which is lost once its content is embedded
+    const pageWidth = page.width * factor;
+    const pageHeight = page.height * factor;
+    const origins = {
+      0: { x, y },
+      90: { x, y: y + pageWidth },
+      180: { x: x + pageWidth, y: y + pageHeight },
+      270: { x: x + pageHeight, y }
+    };
+    sheet.drawPage(page.embedded, {
+      ...origins[page.rotation],
+      xScale: factor,
+      yScale: factor,
+      rotate: degrees(-page.rotation)
+    });
+  }
+}
+
+module.exports = PdfImposer;
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const PrintError = require('../spooler/PrintError');
+
+// The spec lets the header and trailer sit a little away from the very start / end
+const HEADER_WINDOW = 1024;
+const TRAILER_WINDOW = 2048;
+
+/**
+ * PdfPreflight - Checks PDF payloads before they are queued
+ * Catches non-PDF, truncated, encrypted and oversized documents up front so they
+ * fail once with a clear error code instead of failing in lp/Sumatra and retrying.
+ */
+class PdfPreflight {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBytes - Largest accepted PDF in bytes (0 = no limit)
+   * @param {number} options.maxPages - Most pages accepted (0 = no limit)
+   * @param {boolean} options.allowEncrypted - Accept encrypted PDFs
+   */
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || 0;
+    this.maxPages = options.maxPages || 0;
+    this.allowEncrypted = options.allowEncrypted === true;
+  }
+
+  /**
+   * Get the PDF bytes a job carries inline or on disk
+   * @returns {Buffer|null} Null when the PDF is only available later (pdfUrl)
+   */
+  static readSource(jobData) {
+    if (jobData.pdfPath) {
+      if (!fs.existsSync(jobData.pdfPath)) {
+        throw PrintError.permanent(`PDF file not found: ${jobData.pdfPath}`, 'PDF_NOT_FOUND');
+      }
+      return fs.readFileSync(jobData.pdfPath);
+    }
+    if (jobData.pdfBase64 || jobData.pdf) {
+      const base64 = (jobData.pdfBase64 || jobData.pdf).replace(/^data:application\/pdf;base64,/, '');
+      return Buffer.from(base64, 'base64');
+    }
+    return null;
+  }
+
+  /**
+   * Check a PDF
+   * @param {Buffer} data
+   * @returns {Promise<{bytes: number, pageCount: number, encrypted: boolean}>}
+   * @throws {PrintError} Permanent error with a PDF_* code when the PDF is rejected
+   */
+  async check(data) {
+    if (this.maxBytes && data.length > this.maxBytes) {
+      throw PrintError.permanent(
+        `PDF is ${data.length} bytes, larger than the ${this.maxBytes} byte limit`, 'PDF_TOO_LARGE');
+    }
+    if (!data.slice(0, HEADER_WINDOW).includes('%PDF-')) {
+      throw PrintError.permanent('Document is not a PDF (missing %PDF header)', 'PDF_INVALID');
+    }
+    if (!data.slice(-TRAILER_WINDOW).includes('%%EOF')) {
+      throw PrintError.permanent('PDF is truncated (missing %%EOF trailer)', 'PDF_TRUNCATED');
+    }
+
+    let document;
+    try {
+      document = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+    } catch (error) {
+      throw PrintError.permanent(`PDF could not be read: ${error.message}`, 'PDF_UNREADABLE');
+    }
+
+    if (document.isEncrypted && !this.allowEncrypted) {
+      throw PrintError.permanent('PDF is encrypted', 'PDF_ENCRYPTED');
+    }
+
+    const pageCount = document.getPageCount();
+    if (pageCount === 0) {
+      throw PrintError.permanent('PDF has no pages', 'PDF_INVALID');
+    }
+    if (this.maxPages && pageCount > this.maxPages) {
+      throw PrintError.permanent(
+        `PDF has ${pageCount} pages, more than the ${this.maxPages} page limit`, 'PDF_TOO_MANY_PAGES');
+    }
+
+    return { bytes: data.length, pageCount, encrypted: document.isEncrypted };
+  }
+}
+
+module.exports = PdfPreflight;
@@ -0,0 +1,222 @@
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const PrintError = require('../spooler/PrintError');
+
+const POSITIONS = [
+  'top-left', 'top-center', 'top-right',
+  'bottom-left', 'bottom-center', 'bottom-right',
+  'center', 'diagonal'
+];
+const MAX_STAMPS = 10;
+const MAX_TEXT_LENGTH = 200;
+const MARGIN = 24; // Points from the page edge (1/3 inch)
+const DEFAULT_SIZE = 10;
+const MAX_WATERMARK_SIZE = 96;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const PLACEHOLDER_PATTERN = /\{([A-Za-z0-9_.-]+)\}/g;
+// Filled in per page and per job rather than from metadata
+const BUILT_IN_VALUES = ['page', 'pages', 'jobId'];
+
+/**
+ * PdfStamper - Overlays text on every page of a PDF before it is printed
+ * A job's `stamps` is a list of { text, position, size, color, opacity }; a plain
+ * string is shorthand for a diagonal watermark ("COPY", "DRAFT"). Text can use
+ * {page}, {pages} and {jobId}, and {name} for any value in the job's metadata.
+ */
+class PdfStamper {
+  /**
+   * Check a job's stamps
+   * @param {Array} stamps
+   * @param {Object} metadata - Job metadata the placeholders are filled from
+   * @returns {string[]} Validation errors (empty when the stamps are valid)
+   */
+  static validate(stamps, metadata = {}) {
+    if (!Array.isArray(stamps)) {
+      return ['stamps must be an array'];
+    }
+    if (stamps.length > MAX_STAMPS) {
+      return [`stamps can have at most ${MAX_STAMPS} entries`];
+    }
+
+    const errors = [];
+    stamps.forEach((entry, index) => {
+      const prefix = `stamps[${index}]`;
+      const stamp = PdfStamper.normalize(entry);
+      if (!stamp) {
+        errors.push(`${prefix} must be a string or an object with text`);
+        return;
+      }
+      if (stamp.text.length === 0 || stamp.text.length > MAX_TEXT_LENGTH) {
+        errors.push(`${prefix}.text must be 1-${MAX_TEXT_LENGTH} characters`);
+      }
+      PdfStamper.placeholders(stamp.text).forEach(name => {
+        if (!BUILT_IN_VALUES.includes(name) && (metadata[name] === undefined || metadata[name] === null)) {
+          errors.push(`${prefix}.text uses {${name}} but metadata.${name} is not set`);
+        }
+      });
+      if (!POSITIONS.includes(stamp.position)) {
+        errors.push(`${prefix}.position must be one of ${POSITIONS.join(', ')}`);
+      }
+      if (stamp.size !== null && (typeof stamp.size !== 'number' || stamp.size < 4 || stamp.size > 200)) {
+        errors.push(`${prefix}.size must be a number of points between 4 and 200`);
+      }
+      if (stamp.color !== null && !COLOR_PATTERN.test(stamp.color)) {
+        errors.push(`${prefix}.color must be a hex color such as #cc0000`);
+      }
+      if (stamp.opacity !== null && (typeof stamp.opacity !== 'number' || stamp.opacity < 0 || stamp.opacity > 1)) {
+        errors.push(`${prefix}.opacity must be a number between 0 and 1`);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Expand the string shorthand and fill in unset fields
+   * @returns {Object|null} Null when the entry is not a stamp
+   */
+  static normalize(entry) {
+    if (typeof entry === 'string') {
+      entry = { text: entry, position: 'diagonal' };
+    }
+    if (!entry || typeof entry !== 'object' || typeof entry.text !== 'string') {
+      return null;
+    }
+    return {
+      text: entry.text,
+      position: entry.position || 'bottom-center',
+      size: entry.size === undefined ? null : entry.size,
+      color: entry.color === undefined ? null : entry.color,
+      opacity: entry.opacity === undefined ? null : entry.opacity
+    };
+  }
+
+  /**
+   * Names of the {placeholders} used in a stamp's text
+   */
+  static placeholders(text) {
+    return Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+  }
+
+  /**
+   * Placeholder values for a job: its metadata plus the job id
+   */
+  static valuesFor(job) {
+    return { ...(job.data && job.data.metadata), jobId: job.id };
+  }
+
+  /**
+   * Replace {placeholders} with their values (unknown ones become empty)
+   */
+  static fill(text, values) {
+    return text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      (values[name] === undefined || values[name] === null ? '' : String(values[name])));
+  }
+
+  /**
+   * Stamp every page of a PDF
+   * @param {Buffer} pdfData
+   * @param {Array} stamps - Validated stamps
+   * @param {Object} values - Placeholder values (metadata plus jobId)
+   * @returns {Promise<Buffer>} The stamped PDF
+   */
+  static async apply(pdfData, stamps, values = {}) {
+    let document;
+    try {
+      document = await PDFDocument.load(pdfData, { ignoreEncryption: true, updateMetadata: false });
+    } catch (error) {
+      throw PrintError.permanent(`PDF could not be read: ${error.message}`, 'PDF_UNREADABLE');
+    }
+    if (document.isEncrypted) {
+      throw PrintError.permanent('Encrypted PDFs cannot be stamped', 'PDF_ENCRYPTED');
+    }
+
+    const font = await document.embedFont(StandardFonts.Helvetica);
+    const pages = document.getPages();
+    pages.forEach((page, index) => {
+      const pageValues = { ...values, page: index + 1, pages: pages.length };
+      stamps.map(PdfStamper.normalize).forEach(stamp => {
+        const text = PdfStamper.encodable(font, PdfStamper.fill(stamp.text, pageValues));
+        if (text.trim()) {
+          PdfStamper.draw(page, font, text, stamp);
+        }
+      });
+    });
+
+    return Buffer.from(await document.save());
+  }
+
+  /**
+   * Replace characters the standard font cannot encode
+   */
+  static encodable(font, text) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(text, char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+  }
+
+  /**
+   * Draw one stamp on a page
+   * Positions are worked out on the page as it is displayed, then mapped back through
+   * the page's /Rotate so stamps read upright on rotated (e.g. scanned landscape) pages.
+   */
+  static draw(page, font, text, stamp) {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+    const width = sideways ? box.height : box.width;
+    const height = sideways ? box.width : box.height;
+
+    let size = stamp.size || DEFAULT_SIZE;
+    let angle = 0;
+    let x;
+    let y;
+
+    if (stamp.position === 'diagonal') {
+      angle = Math.atan2(height, width);
+      const diagonal = Math.hypot(width, height);
+      size = stamp.size || Math.min(MAX_WATERMARK_SIZE, (diagonal * 0.7) / font.widthOfTextAtSize(text, 1));
+      const textWidth = font.widthOfTextAtSize(text, size);
+      // Start so the text's midpoint sits on the page centre, nudged down by a third of its height
+      x = width / 2 - (textWidth / 2) * Math.cos(angle) + (size / 3) * Math.sin(angle);
+      y = height / 2 - (textWidth / 2) * Math.sin(angle) - (size / 3) * Math.cos(angle);
+    } else {
+      const textWidth = font.widthOfTextAtSize(text, size);
+      const [vertical, horizontal] = stamp.position === 'center' ? ['center', 'center'] : stamp.position.split('-');
+      x = horizontal === 'left' ? MARGIN : horizontal === 'right' ? width - MARGIN - textWidth : (width - textWidth) / 2;
+      y = vertical === 'top' ? height - MARGIN - size : vertical === 'bottom' ? MARGIN : (height - size) / 2;
+    }
+
+    const origin = PdfStamper.toPageSpace(x, y, rotation, box);
+    const diagonalDefault = stamp.position === 'diagonal';
+    page.drawText(text, {
+      x: origin.x,
+      y: origin.y,
+      size,
+      font,
+      color: PdfStamper.parseColor(stamp.color || (diagonalDefault ? '#808080' : '#000000')),
+      opacity: stamp.opacity !== null ? stamp.opacity : (diagonalDefault ? 0.3 : 1),
+      rotate: degrees(rotation + (angle * 180) / Math.PI)
+    });
+  }
+
+  /**
+   * Map a point on the displayed page back to PDF page coordinates
+   */
+  static toPageSpace(x, y, rotation, box) {
+    switch (rotation) {
+      case 90:
+        return { x: box.x + box.width - y, y: box.y + x };
+      case 180:
+        return { x: box.x + box.width - x, y: box.y + box.height - y };
+      case 270:
+        return { x: box.x + y, y: box.y + box.height - x };
+      default:
+        return { x: box.x + x, y: box.y + y };
+    }
+  }
+
+  static parseColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return rgb(((value >> 16) & 0xff) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255);
+  }
+}
+
+module.exports = PdfStamper;
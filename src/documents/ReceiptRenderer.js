@@ -0,0 +1,188 @@
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const DEFAULT_WIDTH = 48; // Characters per line on an 80mm printer with font A
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+const BARCODE_FORMATS = { UPCA: 65, EAN13: 67, CODE39: 69, CODE128: 73 };
+const QR_ERROR_LEVELS = { L: 48, M: 49, Q: 50, H: 51 };
+const CUT_MODES = { full: 65, partial: 66 }; // GS V with paper feed
+
+/**
+ * ReceiptRenderer - Renders structured receipts to ESC/POS bytes
+ * A receipt is { width, lines: [...], cut } where each line is one of:
+ *   { text, align, bold, underline, size }  - text (size 1-8 scales width and height)
+ *   { left, right, bold }                    - two columns, e.g. item and price
+ *   { divider: true | '=' }                  - full-width rule
+ *   { barcode, format, height }              - CODE128 (default), CODE39, EAN13 or UPCA
+ *   { qr, size, errorLevel, align }          - QR code (size 1-16)
+ *   { feed: n }                              - blank lines
+ */
+class ReceiptRenderer {
+  /**
+   * Check a receipt's structure
+   * @returns {string[]} Validation errors (empty when the receipt is valid)
+   */
+  static validate(receipt) {
+    if (!receipt || typeof receipt !== 'object' || !Array.isArray(receipt.lines)) {
+      return ['receipt must be an object with a lines array'];
+    }
+
+    const errors = [];
+    if (receipt.width !== undefined && (!Number.isInteger(receipt.width) || receipt.width < 16 || receipt.width > 64)) {
+      errors.push('receipt.width must be a whole number of characters between 16 and 64');
+    }
+    if (receipt.cut !== undefined && typeof receipt.cut !== 'boolean' && !CUT_MODES[receipt.cut]) {
+      errors.push('receipt.cut must be true, false, "full" or "partial"');
+    }
+
+    receipt.lines.forEach((line, index) => {
+      const prefix = `receipt.lines[${index}]`;
+      if (!line || typeof line !== 'object') {
+        errors.push(`${prefix} must be an object`);
+        return;
+      }
+      if (line.align !== undefined && ALIGNMENTS[line.align] === undefined) {
+        errors.push(`${prefix}.align must be left, center or right`);
+      }
+      if (line.size !== undefined && line.qr === undefined &&
+          (!Number.isInteger(line.size) || line.size < 1 || line.size > 8)) {
+        errors.push(`${prefix}.size must be a whole number between 1 and 8`);
+      }
+
+      if (line.barcode !== undefined) {
+        const format = line.format || 'CODE128';
+        if (!BARCODE_FORMATS[format]) {
+          errors.push(`${prefix}.format must be one of ${Object.keys(BARCODE_FORMATS).join(', ')}`);
+        } else if (!ReceiptRenderer.isValidBarcode(String(line.barcode), format)) {
+          errors.push(`${prefix}.barcode is not valid ${format} data`);
+        }
+        if (line.height !== undefined && (!Number.isInteger(line.height) || line.height < 1 || line.height > 255)) {
+          errors.push(`${prefix}.height must be a whole number of dots between 1 and 255`);
+        }
+      } else if (line.qr !== undefined) {
+        if (typeof line.qr !== 'string' || line.qr.length === 0 || line.qr.length > 2000) {
+          errors.push(`${prefix}.qr must be a string of 1-2000 characters`);
+        }
+        if (line.size !== undefined && (!Number.isInteger(line.size) || line.size < 1 || line.size > 16)) {
+          errors.push(`${prefix}.size must be a whole number between 1 and 16`);
+        }
+        if (line.errorLevel !== undefined && !QR_ERROR_LEVELS[line.errorLevel]) {
+          errors.push(`${prefix}.errorLevel must be L, M, Q or H`);
+        }
+      } else if (line.feed !== undefined) {
+        if (!Number.isInteger(line.feed) || line.feed < 0 || line.feed > 255) {
+          errors.push(`${prefix}.feed must be a whole number between 0 and 255`);
+        }
+      } else if (line.text === undefined && line.left === undefined && line.right === undefined && !line.divider) {
+        errors.push(`${prefix} must have text, left/right, divider, barcode, qr or feed`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check barcode data against what its symbology can encode
+   */
+  static isValidBarcode(data, format) {
+    switch (format) {
+      case 'EAN13':
+        return /^\d{12,13}$/.test(data);
+      case 'UPCA':
+        return /^\d{11,12}$/.test(data);
+      case 'CODE39':
+        return /^[0-9A-Z .$/+%-]{1,255}$/.test(data);
+      default:
+        return /^[\x20-\x7e]{1,253}$/.test(data);
+    }
+  }
+
+  /**
+   * Render a receipt to ESC/POS bytes
+   * @returns {Buffer}
+   */
+  static render(receipt) {
+    const width = receipt.width || DEFAULT_WIDTH;
+    const out = [];
+    const push = (...bytes) => out.push(Buffer.from(bytes));
+    const pushText = (text) => out.push(ReceiptRenderer.encodeText(text));
+
+    push(ESC, 0x40); // Initialize printer
+
+    receipt.lines.forEach(line => {
+      push(ESC, 0x61, ALIGNMENTS[line.align] || 0);
+
+      if (line.barcode !== undefined) {
+        const format = line.format || 'CODE128';
+        // CODE128 data must start by selecting a code set (B = full ASCII)
+        const data = format === 'CODE128' ? `{B${line.barcode}` : String(line.barcode);
+        push(GS, 0x68, line.height || 80); // Height in dots
+        push(GS, 0x77, 2); // Module width
+        push(GS, 0x48, 2); // Human-readable text below
+        push(GS, 0x6b, BARCODE_FORMATS[format], data.length);
+        pushText(data);
+        push(LF);
+      } else if (line.qr !== undefined) {
+        const data = Buffer.from(line.qr, 'utf8');
+        const length = data.length + 3;
+        push(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0); // Model 2
+        push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, line.size || 6); // Module size
+        push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, QR_ERROR_LEVELS[line.errorLevel || 'M']);
+        push(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30);
+        out.push(data);
+        push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30); // Print the stored symbol
+        push(LF);
+      } else if (line.feed !== undefined) {
+        push(ESC, 0x64, line.feed);
+      } else {
+        const size = line.size || 1;
+        const columns = Math.floor(width / size);
+        push(ESC, 0x45, line.bold ? 1 : 0);
+        push(ESC, 0x2d, line.underline ? 1 : 0);
+        push(GS, 0x21, ((size - 1) << 4) | (size - 1));
+
+        let text;
+        if (line.divider) {
+          text = (typeof line.divider === 'string' ? line.divider : '-').charAt(0).repeat(columns);
+        } else if (line.left !== undefined || line.right !== undefined) {
+          text = ReceiptRenderer.columns(String(line.left || ''), String(line.right || ''), columns);
+        } else {
+          text = String(line.text);
+        }
+        pushText(text);
+        push(LF);
+
+        // Reset styles so they never leak into the next line
+        push(ESC, 0x45, 0, ESC, 0x2d, 0, GS, 0x21, 0);
+      }
+    });
+
+    if (receipt.cut !== false) {
+      push(GS, 0x56, CUT_MODES[receipt.cut] || CUT_MODES.partial, 3);
+    }
+
+    return Buffer.concat(out);
+  }
+
+  /**
+   * Lay out left and right text on one line, truncating the left side if needed
+   */
+  static columns(left, right, width) {
+    const space = width - right.length - 1;
+    if (space <= 0) {
+      return `${left} ${right}`;
+    }
+    const leftText = left.length > space ? left.slice(0, space) : left;
+    return leftText + ' '.repeat(width - leftText.length - right.length) + right;
+  }
+
+  /**
+   * Encode text for the printer's default code page (non-ASCII becomes '?')
+   */
+  static encodeText(text) {
+    return Buffer.from(text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e\n]/g, '?'), 'ascii');
+  }
+}
+
+module.exports = ReceiptRenderer;
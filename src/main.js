@@ -1,6 +1,7 @@
 const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const PrintSpooler = require('./spooler/PrintSpooler');
+const JobValidator = require('./spooler/JobValidator');
 const APIServer = require('./api/APIServer');
 const ConfigManager = require('./config/ConfigManager');
 const ServerClient = require('./client/ServerClient');
@@ -10,8 +11,21 @@ let printSpooler;
 let apiServer;
 let configManager;
 let serverClient;
+let healthHeartbeatTimer = null;
+// Config keys that change which printer backend handles a job
+const BACKEND_CONFIG_KEYS = ['sumatraPath', 'printBackend', 'virtualPrinter', 'virtualPrinterName', 'virtualPrinterDir', 'ippPrinters'];
 // Removed processedServerJobIds - we allow reprocessing since server status updates might not be processed yet
 
+/**
+ * Idempotency key for a server job: the server's own key if it sends one, else its job ID
+ */
+function getServerJobIdempotencyKey(serverJob) {
+  if (serverJob.idempotencyKey) {
+    return serverJob.idempotencyKey;
+  }
+  return serverJob.id ? `server:${serverJob.id}` : undefined;
+}
+
 /**
  * Process jobs received from server
  */
@@ -27,33 +41,34 @@ async function processServerJobs(jobs) {
   
   console.log(`Received ${jobs.length} job(s) from server`);
   
-  // Filter out only jobs that are currently in queue (not already processed)
-  // We allow reprocessing because server status updates might not have been processed yet
-  const existingJobIds = new Set();
-  const currentJobs = printSpooler.getJobQueue();
-  currentJobs.forEach(job => {
-    if (job.serverJobId) {
-      existingJobIds.add(job.serverJobId);
-    }
-  });
-  
-  const newJobs = jobs.filter(serverJob => {
-    if (!serverJob.id) {
-      return true; // Process jobs without IDs (shouldn't happen, but be safe)
+  // Jobs the server resends are matched by idempotency key. A resent job that is
+  // still queued or printing is skipped; one that already finished has its status
+  // re-reported, since the server keeps sending it until it sees that update.
+  const newJobs = [];
+  for (const serverJob of jobs) {
+    const existing = printSpooler.findJobByIdempotencyKey(getServerJobIdempotencyKey(serverJob));
+    if (!existing) {
+      newJobs.push(serverJob);
+      continue;
     }
     
-    // Only skip if currently in queue or being processed
-    // Allow reprocessing - server might resend jobs until status is updated
-    if (existingJobIds.has(serverJob.id)) {
-      console.log(`Skipping server job ${serverJob.id} - already in queue or being processed`);
-      return false;
+    if (existing.status === 'completed') {
+      console.log(`Server job ${serverJob.id} already printed as local job ${existing.id}, re-sending status`);
+      if (serverJob.id && serverClient) {
+        await serverClient.updateJobStatus(serverJob.id, 'printed');
+      }
+    } else if (existing.status === 'failed' || existing.status === 'cancelled') {
+      console.log(`Server job ${serverJob.id} already ${existing.status} as local job ${existing.id}, re-sending status`);
+      if (serverJob.id && serverClient) {
+        await serverClient.updateJobStatus(serverJob.id, 'failed', existing.error || 'Job was cancelled on the printing agent');
+      }
+    } else {
+      console.log(`Skipping server job ${serverJob.id} - already ${existing.status} as local job ${existing.id}`);
     }
-    
-    return true;
-  });
+  }
   
   if (newJobs.length === 0) {
-    console.log('All jobs from server are already in queue or being processed');
+    console.log('All jobs from server are already in queue or have been processed');
     return;
   }
   
@@ -69,12 +84,38 @@ async function processServerJobs(jobs) {
         pdfUrl: serverJob.pdfUrl,
         html: serverJob.html,
         url: serverJob.url,
+        imageBase64: serverJob.imageBase64,
+        imagePath: serverJob.imagePath,
+        imageUrl: serverJob.imageUrl,
+        imageFit: serverJob.imageFit,
+        template: serverJob.template,
+        templateVersion: serverJob.templateVersion,
+        templateData: serverJob.data,
+        rawData: serverJob.rawData,
+        rawFormat: serverJob.rawFormat,
+        rawEncoding: serverJob.rawEncoding,
+        receipt: serverJob.receipt,
         printerName: serverJob.printerName,
+        printerRole: serverJob.printerRole,
         priority: serverJob.priority || 'normal',
         printBackground: serverJob.printBackground !== false,
-        pageSize: serverJob.pageSize || 'A4',
         margins: serverJob.margins,
         copies: serverJob.copies || 1,
+        pageSize: serverJob.pageSize,
+        duplex: serverJob.duplex,
+        colorMode: serverJob.colorMode,
+        orientation: serverJob.orientation,
+        pageRanges: serverJob.pageRanges,
+        tray: serverJob.tray,
+        scaling: serverJob.scaling,
+        collate: serverJob.collate,
+        stamps: serverJob.stamps,
+        nUp: serverJob.nUp,
+        booklet: serverJob.booklet,
+        scale: serverJob.scale,
+        idempotencyKey: getServerJobIdempotencyKey(serverJob),
+        printAt: serverJob.printAt,
+        hold: serverJob.hold === true,
         metadata: {
           ...serverJob.metadata,
           serverJobId: serverJob.id,
@@ -82,14 +123,17 @@ async function processServerJobs(jobs) {
         }
       };
 
+      // Same checks as jobs submitted to the API
+      const validationErrors = JobValidator.validate(jobData, printSpooler.templateStore);
+      if (validationErrors.length > 0) {
+        throw new Error(`Invalid job: ${validationErrors.join('; ')}`);
+      }
+
       // Add job to local queue
       const localJob = await printSpooler.addJob(jobData);
       
-      // Store mapping between server job ID and local job ID
+      // The spooler keeps the server job ID (from metadata) on the local job
       if (serverJob.id && localJob.id) {
-        localJob.serverJobId = serverJob.id;
-        // Don't mark as processed - allow reprocessing if server resends
-        // Server will stop sending once status is updated to "printed" or "failed"
         console.log(`Added server job ${serverJob.id} to queue as local job ${localJob.id}`);
       }
     } catch (error) {
@@ -116,6 +160,36 @@ async function processServerJobs(jobs) {
   }
 }
 
+/**
+ * Store templates pulled from the server
+ */
+function syncTemplates(templates) {
+  templates.forEach(template => {
+    try {
+      printSpooler.templateStore.save(template.name, {
+        html: template.html,
+        version: template.version,
+        description: template.description,
+        pageSize: template.pageSize,
+        orientation: template.orientation,
+        margins: template.margins,
+        source: 'server'
+      });
+    } catch (error) {
+      console.warn(`Skipping server template ${template.name}:`, error.message);
+    }
+  });
+}
+
+/**
+ * Create a server client that reports the local spooler status in its heartbeats
+ */
+function createServerClient() {
+  const client = new ServerClient(configManager);
+  client.setStatusProvider(() => printSpooler.getStatus());
+  return client;
+}
+
 function createWindow() {
   const isMac = process.platform === 'darwin';
   
@@ -147,6 +221,10 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     mainWindow = null;
+    // The hidden render window would otherwise keep the app from quitting
+    if (printSpooler) {
+      printSpooler.documentRenderer.closeRenderWindow();
+    }
   });
 }
 
@@ -192,6 +270,42 @@ app.whenReady().then(() => {
       await serverClient.updateJobStatus(job.serverJobId, 'failed', error.message);
     }
   });
+
+  // Report pause changes to the server right away instead of waiting for the next heartbeat
+  printSpooler.on('pause-changed', () => {
+    if (serverClient) {
+      serverClient.sendHeartbeat().catch(err => {
+        console.error('Failed to send heartbeat after pause change:', err.message);
+      });
+    }
+  });
+
+  printSpooler.on('printer-status', (health) => {
+    if (mainWindow) {
+      mainWindow.webContents.send('printer-status', health);
+    }
+    // A printer went up or down: tell the server soon, once for a burst of changes
+    if (health.since === health.checkedAt && serverClient && !healthHeartbeatTimer) {
+      healthHeartbeatTimer = setTimeout(() => {
+        healthHeartbeatTimer = null;
+        serverClient.sendHeartbeat().catch(err => {
+          console.error('Failed to send heartbeat after printer status change:', err.message);
+        });
+      }, 2000);
+    }
+  });
+
+  // Printers plugged in or removed: the UI refreshes its printer lists
+  ['printer-added', 'printer-removed'].forEach(eventName => {
+    printSpooler.on(eventName, (printer) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('printers-changed', { event: eventName, printer });
+      }
+    });
+  });
+
+  // Resume jobs restored from the persisted queue
+  printSpooler.start();
   
   // Initialize API server
   const apiPort = configManager.get('apiPort', 3001);
@@ -199,7 +313,7 @@ app.whenReady().then(() => {
   apiServer.start();
 
   // Initialize server client for remote server integration
-  serverClient = new ServerClient(configManager);
+  serverClient = createServerClient();
   
   // Set up server polling callback
   serverClient.startPolling(processServerJobs);
@@ -207,6 +321,9 @@ app.whenReady().then(() => {
   // Start heartbeat mechanism
   serverClient.startHeartbeat();
 
+  // Pull document templates from the server (when templateSync is enabled)
+  serverClient.startTemplateSync(syncTemplates);
+
   createWindow();
 
   app.on('activate', () => {
@@ -255,6 +372,42 @@ ipcMain.handle('retry-job', async (event, jobId) => {
   return await printSpooler.retryJob(jobId);
 });
 
+ipcMain.handle('release-job', async (event, jobId) => {
+  return printSpooler.releaseJob(jobId);
+});
+
+ipcMain.handle('get-job-preview', async (event, jobId, options = {}) => {
+  try {
+    const preview = await printSpooler.getJobPreview(jobId, options);
+    if (!preview) {
+      return { error: 'Job not found' };
+    }
+    return {
+      dataUrl: `data:image/png;base64,${preview.png.toString('base64')}`,
+      page: preview.page,
+      pageCount: preview.pageCount
+    };
+  } catch (error) {
+    return { error: error.message, code: error.code || null };
+  }
+});
+
+ipcMain.handle('pause-queue', async () => {
+  return printSpooler.pauseQueue();
+});
+
+ipcMain.handle('resume-queue', async () => {
+  return printSpooler.resumeQueue();
+});
+
+ipcMain.handle('pause-printer', async (event, printerName) => {
+  return printSpooler.pausePrinter(printerName);
+});
+
+ipcMain.handle('resume-printer', async (event, printerName) => {
+  return printSpooler.resumePrinter(printerName);
+});
+
 ipcMain.handle('clear-completed', async () => {
   return printSpooler.clearCompletedJobs();
 });
@@ -266,24 +419,36 @@ ipcMain.handle('get-config', async () => {
 ipcMain.handle('set-config', async (event, key, value) => {
   configManager.set(key, value);
   
-  // If SumatraPDF path is updated, reload it in the print spooler
-  if (key === 'sumatraPath' && printSpooler) {
-    printSpooler.reloadSumatraPath();
+  // Backend settings (SumatraPDF path, printBackend, virtual printer) apply without a restart
+  if (BACKEND_CONFIG_KEYS.includes(key) && printSpooler) {
+    printSpooler.reloadBackends();
   }
   
   return true;
 });
 
+ipcMain.handle('set-printer-role', async (event, role, printerName) => {
+  const roles = printSpooler.setPrinterRole(role, printerName);
+  // The server picks printerRole values from the roles this agent advertises
+  if (serverClient) {
+    serverClient.sendHeartbeat().catch(err => {
+      console.error('Failed to send heartbeat after printer role change:', err.message);
+    });
+  }
+  return roles;
+});
+
 ipcMain.handle('update-server-config', async () => {
   // Restart server client polling with new config
   if (serverClient) {
     serverClient.stop(); // Stop both polling and heartbeat
-    serverClient = new ServerClient(configManager);
+    serverClient = createServerClient();
     
     // Restart polling and heartbeat if server URL is configured
     if (serverClient.isConfigured()) {
       serverClient.startPolling(processServerJobs);
       serverClient.startHeartbeat();
+      serverClient.startTemplateSync(syncTemplates);
     }
   }
   return true;
@@ -291,7 +456,7 @@ ipcMain.handle('update-server-config', async () => {
 
 ipcMain.handle('test-server-connection', async () => {
   if (!serverClient) {
-    serverClient = new ServerClient(configManager);
+    serverClient = createServerClient();
   }
   return await serverClient.testConnection();
 });
@@ -346,7 +511,8 @@ ipcMain.handle('select-sumatra-path', async () => {
 
 ipcMain.handle('select-printer', async () => {
   try {
-    const printers = await printSpooler.getAvailablePrinters();
+    // Discover again so a printer plugged in moments ago can be picked
+    const printers = await printSpooler.getAvailablePrinters({ refresh: true });
     
     // Check if any printers are available
     if (!printers || printers.length === 0) {
@@ -4,14 +4,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Printer management
   getPrinters: () => ipcRenderer.invoke('get-printers'),
   selectPrinter: () => ipcRenderer.invoke('select-printer'),
+  setPrinterRole: (role, printerName) => ipcRenderer.invoke('set-printer-role', role, printerName),
   
   // Job management
   getJobs: () => ipcRenderer.invoke('get-jobs'),
   getStatus: () => ipcRenderer.invoke('get-status'),
   cancelJob: (jobId) => ipcRenderer.invoke('cancel-job', jobId),
   retryJob: (jobId) => ipcRenderer.invoke('retry-job', jobId),
+  releaseJob: (jobId) => ipcRenderer.invoke('release-job', jobId),
+  getJobPreview: (jobId, options) => ipcRenderer.invoke('get-job-preview', jobId, options),
   clearCompleted: () => ipcRenderer.invoke('clear-completed'),
   
+  // Pause / resume
+  pauseQueue: () => ipcRenderer.invoke('pause-queue'),
+  resumeQueue: () => ipcRenderer.invoke('resume-queue'),
+  pausePrinter: (printerName) => ipcRenderer.invoke('pause-printer', printerName),
+  resumePrinter: (printerName) => ipcRenderer.invoke('resume-printer', printerName),
+  
   // Configuration
   getConfig: () => ipcRenderer.invoke('get-config'),
   setConfig: (key, value) => ipcRenderer.invoke('set-config', key, value),
@@ -25,6 +34,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
     ipcRenderer.on('job-update', (event, data) => callback(data));
   },
   
+  // Listen for printer health changes
+  onPrinterStatus: (callback) => {
+    ipcRenderer.on('printer-status', (event, health) => callback(health));
+  },
+  
+  // Listen for printers being plugged in or removed
+  onPrintersChanged: (callback) => {
+    ipcRenderer.on('printers-changed', (event, change) => callback(change));
+  },
+  
   // Remove listeners
   removeJobUpdateListener: () => {
     ipcRenderer.removeAllListeners('job-update');
@@ -0,0 +1,202 @@
+const { execFile } = require('child_process');
+const PrintError = require('./PrintError');
+
+// lpstat alert keywords mapped to IPP-style job states
+const HELD_ALERTS = ['job-hold-until-specified', 'job-held-for-authentication', 'job-held-on-create'];
+const CANCELED_ALERTS = ['job-canceled-by-user', 'job-canceled-by-operator', 'job-canceled-at-device'];
+const ABORTED_ALERTS = ['job-aborted-by-system', 'job-completed-with-errors', 'aborted-by-system'];
+
+/**
+ * CupsJobTracker - Follows a CUPS job from `lp` submission until it is really done
+ * `lp` exiting 0 only means CUPS accepted the job; this polls `lpstat` until the
+ * job completes, is cancelled or aborted, reporting held/stopped states on the way.
+ */
+class CupsJobTracker {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || 2000;
+    this.timeout = options.timeout || 600000;
+  }
+
+  /**
+   * Extract the CUPS job id from `lp` output ("request id is Office-123 (1 file(s))")
+   * @returns {string|null}
+   */
+  static parseJobId(lpOutput) {
+    const match = /request id is (\S+)/.exec(lpOutput || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the queue name from a CUPS job id ("Office-Printer-123" -> "Office-Printer")
+   */
+  static getQueueName(cupsJobId) {
+    const index = cupsJobId.lastIndexOf('-');
+    return index > 0 ? cupsJobId.slice(0, index) : cupsJobId;
+  }
+
+  /**
+   * Find a job's block in `lpstat -l -o` output
+   * @returns {string|null} The job's lines, or null if it is not listed
+   */
+  static findJobBlock(output, cupsJobId) {
+    const lines = (output || '').split('\n');
+    const start = lines.findIndex(line => line.split(/\s+/)[0] === cupsJobId);
+    if (start === -1) {
+      return null;
+    }
+
+    const block = [lines[start]];
+    for (let i = start + 1; i < lines.length && /^\s/.test(lines[i]); i++) {
+      block.push(lines[i]);
+    }
+    return block.join('\n');
+  }
+
+  /**
+   * Run an lpstat command and return stdout
+   */
+  lpstat(args) {
+    return new Promise((resolve, reject) => {
+      execFile('lpstat', args, { timeout: 10000 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  /**
+   * Get the current state of a CUPS job
+   * @returns {Promise<string>} pending | processing | held | stopped | completed | canceled | aborted
+   */
+  async getJobState(cupsJobId) {
+    const queue = CupsJobTracker.getQueueName(cupsJobId);
+
+    const pending = CupsJobTracker.findJobBlock(
+      await this.lpstat(['-W', 'not-completed', '-l', '-o', queue]), cupsJobId);
+    if (pending) {
+      if (HELD_ALERTS.some(alert => pending.includes(alert))) {
+        return 'held';
+      }
+      if (await this.isQueueStopped(queue)) {
+        return 'stopped';
+      }
+      return pending.includes('job-printing') ? 'processing' : 'pending';
+    }
+
+    const finished = CupsJobTracker.findJobBlock(
+      await this.lpstat(['-W', 'completed', '-l', '-o', queue]), cupsJobId);
+    if (finished) {
+      if (CANCELED_ALERTS.some(alert => finished.includes(alert))) {
+        return 'canceled';
+      }
+      if (ABORTED_ALERTS.some(alert => finished.includes(alert))) {
+        return 'aborted';
+      }
+    }
+
+    // Gone from the active list - completed (CUPS may not keep history for it)
+    return 'completed';
+  }
+
+  /**
+   * Check whether a CUPS queue is disabled (stopped)
+   */
+  async isQueueStopped(queue) {
+    try {
+      const output = await this.lpstat(['-p', queue]);
+      return /disabled/i.test(output);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Cancel a CUPS job (best effort)
+   */
+  cancel(cupsJobId) {
+    return new Promise((resolve) => {
+      execFile('cancel', [cupsJobId], { timeout: 10000 }, (error) => {
+        if (error) {
+          console.warn(`Failed to cancel CUPS job ${cupsJobId}:`, error.message);
+        }
+        resolve(!error);
+      });
+    });
+  }
+
+  /**
+   * Poll a job until it completes
+   * Resolves on completion; rejects with a PrintError if the job is cancelled,
+   * aborted, or still waiting (pending/held/stopped) when the timeout expires.
+   * A job the printer is printing is never timed out: cancelling it partway and
+   * retrying would print the first pages twice.
+   * @param {string} cupsJobId
+   * @param {Object} options
+   * @param {Function} options.onState - (state) => void, called whenever the state changes
+   * @param {Function} options.isCancelled - () => boolean, stop tracking when true
+   */
+  async track(cupsJobId, { onState, isCancelled } = {}) {
+    const deadline = Date.now() + this.timeout;
+    let lastState = null;
+    let overdueWarned = false;
+
+    while (true) {
+      if (isCancelled && isCancelled()) {
+        await this.cancel(cupsJobId);
+        return 'canceled';
+      }
+
+      let state;
+      try {
+        state = await this.getJobState(cupsJobId);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // lpstat is not installed - nothing to follow, trust the lp exit code
+          console.warn('lpstat not available, cannot track CUPS job', cupsJobId);
+          return 'completed';
+        }
+        console.warn(`Failed to query CUPS job ${cupsJobId}:`, error.message);
+        state = lastState;
+      }
+
+      if (state && state !== lastState) {
+        lastState = state;
+        if (onState) {
+          onState(state);
+        }
+      }
+
+      if (state === 'completed') {
+        return state;
+      }
+      if (state === 'canceled') {
+        throw PrintError.permanent(`Printer job ${cupsJobId} was cancelled`, 'PRINTER_JOB_CANCELED');
+      }
+      if (state === 'aborted') {
+        throw PrintError.transient(`Printer job ${cupsJobId} was aborted by the printer`, 'PRINTER_JOB_ABORTED');
+      }
+
+      if (Date.now() >= deadline) {
+        if (state !== 'processing') {
+          // Remove it from CUPS so a retry cannot end up printing twice
+          await this.cancel(cupsJobId);
+          throw PrintError.transient(
+            `Printer job ${cupsJobId} did not complete in time (last state: ${lastState || 'unknown'})`,
+            'PRINTER_JOB_TIMEOUT'
+          );
+        }
+        if (!overdueWarned) {
+          overdueWarned = true;
+          console.warn(`Printer job ${cupsJobId} is past the ${this.timeout}ms timeout but still printing, waiting for it`);
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+}
+
+module.exports = CupsJobTracker;
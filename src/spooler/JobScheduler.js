@@ -0,0 +1,111 @@
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * JobScheduler - Holds deferred jobs until they are due or released
+ * Jobs are either `scheduled` (released automatically at `printAt`) or
+ * `held` (released only by an explicit release call).
+ */
+class JobScheduler {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onRelease - (job) => void, called when a job should enter the print queue
+   */
+  constructor(options) {
+    this.onRelease = options.onRelease;
+    this.jobs = [];
+    this.timer = null;
+  }
+
+  /**
+   * Check whether job data asks for deferred printing
+   */
+  static isDeferred(jobData) {
+    if (jobData.hold === true) {
+      return true;
+    }
+    return !!jobData.printAt && new Date(jobData.printAt).getTime() > Date.now();
+  }
+
+  /**
+   * Add a scheduled or held job
+   */
+  add(job) {
+    this.jobs.push(job);
+    this.arm();
+  }
+
+  /**
+   * Remove a job without releasing it
+   * @returns {Object|null} The removed job
+   */
+  remove(jobId) {
+    const index = this.jobs.findIndex(j => j.id === jobId);
+    if (index === -1) {
+      return null;
+    }
+    const job = this.jobs.splice(index, 1)[0];
+    this.arm();
+    return job;
+  }
+
+  /**
+   * Release a job into the print queue now, regardless of its schedule
+   * @returns {boolean} True if the job was found and released
+   */
+  release(jobId) {
+    const job = this.remove(jobId);
+    if (!job) {
+      return false;
+    }
+    this.onRelease(job);
+    return true;
+  }
+
+  /**
+   * Release every scheduled job whose print time has passed
+   */
+  releaseDue() {
+    const now = Date.now();
+    const due = this.jobs.filter(job => job.status === 'scheduled' && new Date(job.printAt).getTime() <= now);
+    this.jobs = this.jobs.filter(job => !due.includes(job));
+    due.forEach(job => this.onRelease(job));
+    this.arm();
+  }
+
+  /**
+   * Arm a single timer for the next scheduled job
+   */
+  arm() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const times = this.jobs
+      .filter(job => job.status === 'scheduled')
+      .map(job => new Date(job.printAt).getTime());
+    if (times.length === 0) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(0, Math.min(...times) - Date.now()), MAX_TIMER_DELAY);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.releaseDue();
+    }, delay);
+  }
+
+  getJobs() {
+    return [...this.jobs];
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = JobScheduler;
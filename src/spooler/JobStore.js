@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// Job data fields that carry the document itself. Queued jobs keep them in a
+// payload file of their own (so they can still print after a restart); they are
+// dropped from persisted history.
+const PAYLOAD_FIELDS = ['pdf', 'pdfBase64', 'html', 'rawData', 'receipt', 'imageBase64'];
+
+/**
+ * JobStore - Durable storage for the print queue and job history
+ * Writes a JSON file under the app's userData directory so queued jobs survive
+ * crashes and reboots. Jobs change status often (every printer state a tracked
+ * job goes through), so saves are coalesced into one write per `saveDelay`;
+ * changes that must not be lost are written at once with flush().
+ * Document data can be tens of MB, so it is written once per job to
+ * <dir>/job-payloads/<jobId>.json instead of on every save.
+ */
+class JobStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.payloadDir = path.join(path.dirname(filePath), 'job-payloads');
+    this.maxHistory = options.maxHistory || 200;
+    this.saveDelay = options.saveDelay === undefined ? 500 : options.saveDelay;
+    this.pending = null; // Latest { queue, history } waiting to be written
+    this.saveTimer = null;
+    this.payloadIds = new Set(); // Jobs whose payload file is on disk
+  }
+
+  /**
+   * Load persisted jobs from disk
+   * @returns {{ queue: Array, history: Array }}
+   */
+  load() {
+    let queue = [];
+    let history = [];
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        queue = Array.isArray(data.queue) ? data.queue : [];
+        history = Array.isArray(data.history) ? data.history.slice(-this.maxHistory) : [];
+      }
+    } catch (error) {
+      console.error('Error loading persisted print jobs:', error);
+    }
+
+    queue.forEach(job => this.loadPayload(job));
+    this.removeOrphanedPayloads(queue);
+    return { queue, history };
+  }
+
+  /**
+   * Put a queued job's document data back from its payload file
+   * Stores written before payload files keep the data inline and need nothing.
+   */
+  loadPayload(job) {
+    const payloadPath = this.getPayloadPath(job.id);
+    if (!fs.existsSync(payloadPath)) {
+      return;
+    }
+    try {
+      job.data = { ...job.data, ...JSON.parse(fs.readFileSync(payloadPath, 'utf8')) };
+      this.payloadIds.add(job.id);
+    } catch (error) {
+      console.error(`Error loading document data for job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Write a queued job's document data to its payload file (once per job)
+   */
+  savePayload(job) {
+    if (this.payloadIds.has(job.id)) {
+      return;
+    }
+    const payload = {};
+    PAYLOAD_FIELDS.forEach(field => {
+      if (job.data[field]) {
+        payload[field] = job.data[field];
+      }
+    });
+    if (Object.keys(payload).length === 0) {
+      return; // Documents given by path or URL have nothing to store
+    }
+
+    try {
+      fs.mkdirSync(this.payloadDir, { recursive: true });
+      const payloadPath = this.getPayloadPath(job.id);
+      const tempPath = `${payloadPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(payload));
+      fs.renameSync(tempPath, payloadPath);
+      this.payloadIds.add(job.id);
+    } catch (error) {
+      console.error(`Error saving document data for job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Delete payload files of jobs that are no longer queued
+   */
+  removeStalePayloads(queue) {
+    const queued = new Set(queue.map(job => job.id));
+    Array.from(this.payloadIds).filter(jobId => !queued.has(jobId)).forEach(jobId => {
+      try { fs.unlinkSync(this.getPayloadPath(jobId)); } catch {}
+      this.payloadIds.delete(jobId);
+    });
+  }
+
+  /**
+   * Delete payload files left by a crash (jobs that never made it into the store, half-written files)
+   */
+  removeOrphanedPayloads(queue) {
+    const queued = new Set(queue.map(job => job.id));
+    try {
+      if (!fs.existsSync(this.payloadDir)) {
+        return;
+      }
+      fs.readdirSync(this.payloadDir)
+        .filter(file => !file.endsWith('.json') || !queued.has(path.basename(file, '.json')))
+        .forEach(file => fs.unlinkSync(path.join(this.payloadDir, file)));
+    } catch (error) {
+      console.error('Error removing orphaned job payloads:', error);
+    }
+  }
+
+  getPayloadPath(jobId) {
+    return path.join(this.payloadDir, `${jobId}.json`);
+  }
+
+  /**
+   * Persist the queue and (bounded) history to disk
+   * The write happens `saveDelay` ms later, together with any other saves made in between.
+   */
+  save(queue, history) {
+    this.pending = { queue, history };
+    if (this.saveDelay === 0) {
+      return this.flush();
+    }
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+    return true;
+  }
+
+  /**
+   * Write any pending save now
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.pending) {
+      return true;
+    }
+    const { queue, history } = this.pending;
+    this.pending = null;
+
+    // Jobs queued without going through savePayload (e.g. restored from an older store)
+    queue.forEach(job => this.savePayload(job));
+    const data = {
+      version: 2,
+      savedAt: new Date().toISOString(),
+      queue: queue.map(job => this.serializeJob(job, true)),
+      history: history.slice(-this.maxHistory).map(job => this.serializeJob(job, false))
+    };
+
+    try {
+      const dir = path.dirname(this.filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      // Write to a temp file and rename so a crash mid-write never leaves a truncated store
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving print jobs:', error);
+      return false;
+    }
+
+    // Only drop payloads once the store no longer lists their jobs as queued
+    this.removeStalePayloads(queue);
+    return true;
+  }
+
+  /**
+   * Convert a job into a plain object suitable for JSON storage
+   * Queued jobs' document data is in their payload file; if that could not be
+   * written it stays inline so the job can still print after a restart.
+   */
+  serializeJob(job, queued) {
+    const data = { ...job.data };
+    // Temp files are removed after printing and on restart, never persist them
+    delete data._tempPdfPath;
+
+    if (queued && !this.payloadIds.has(job.id)) {
+      return { ...job, data };
+    }
+    PAYLOAD_FIELDS.forEach(field => {
+      if (data[field]) {
+        delete data[field];
+        if (!queued) {
+          data.payloadDiscarded = true;
+        }
+      }
+    });
+
+    return { ...job, data };
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,72 @@
+const PrintOptions = require('./PrintOptions');
+const RawPrinter = require('./RawPrinter');
+const PrinterRoleManager = require('./PrinterRoleManager');
+const ReceiptRenderer = require('../documents/ReceiptRenderer');
+const ImageDocument = require('../documents/ImageDocument');
+const PdfStamper = require('../documents/PdfStamper');
+const PdfImposer = require('../documents/PdfImposer');
+
+/**
+ * JobValidator - Checks job data before it is queued
+ * Jobs submitted to the API and jobs pulled from the server go through the same
+ * checks, so a job is accepted or rejected the same way whichever way it arrives.
+ */
+class JobValidator {
+  /**
+   * Check a job's data for a print source, a valid schedule and valid print options
+   * @param {Object} jobData - Local job data (see APIServer.buildJobData)
+   * @param {TemplateStore} templateStore - Used to check that a template job's template exists
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validate(jobData, templateStore) {
+    // Validate required fields - PDF takes priority
+    if (!jobData.pdf && !jobData.pdfBase64 && !jobData.pdfPath && !jobData.pdfUrl && !jobData.html && !jobData.url &&
+        !jobData.imageBase64 && !jobData.imagePath && !jobData.imageUrl && !jobData.rawData && !jobData.receipt &&
+        !jobData.template) {
+      return ['Either pdf, pdfBase64, pdfPath, pdfUrl, html, url, imageBase64, imagePath, imageUrl, rawData, receipt, or template must be provided'];
+    }
+
+    const errors = [];
+    if (jobData.printerRole != null && !PrinterRoleManager.isValidRole(jobData.printerRole)) {
+      errors.push('printerRole must be a role name such as scoresheets or badges');
+    }
+    if (jobData.template && templateStore && !templateStore.get(jobData.template, jobData.templateVersion)) {
+      errors.push(`Template not found: ${jobData.template}${jobData.templateVersion ? ` v${jobData.templateVersion}` : ''}`);
+    }
+    if (jobData.imageFit != null && !ImageDocument.isValidFit(jobData.imageFit)) {
+      errors.push('imageFit must be one of fit, fill, actual');
+    }
+    if (jobData.receipt != null) {
+      errors.push(...ReceiptRenderer.validate(jobData.receipt));
+    }
+    if (jobData.rawData != null) {
+      if (typeof jobData.rawData !== 'string') {
+        errors.push('rawData must be a string');
+      }
+      if (!RawPrinter.isValidFormat(jobData.rawFormat)) {
+        errors.push('rawFormat must be one of zpl, epl, escpos');
+      }
+      if (jobData.rawEncoding && !RawPrinter.isValidEncoding(jobData.rawEncoding)) {
+        errors.push('rawEncoding must be utf8 or base64');
+      }
+    }
+    if (jobData.stamps != null) {
+      if (jobData.rawData || jobData.receipt) {
+        errors.push('stamps cannot be used with raw or receipt jobs');
+      } else {
+        errors.push(...PdfStamper.validate(jobData.stamps, jobData.metadata));
+      }
+    }
+    errors.push(...PdfImposer.validate(jobData));
+    if ((jobData.rawData || jobData.receipt) && PdfImposer.hasLayout(jobData)) {
+      errors.push('nUp, booklet and scale cannot be used with raw or receipt jobs');
+    }
+    if (jobData.printAt && isNaN(new Date(jobData.printAt).getTime())) {
+      errors.push('printAt must be a valid ISO 8601 timestamp');
+    }
+    errors.push(...PrintOptions.validate(jobData));
+    return errors;
+  }
+}
+
+module.exports = JobValidator;
@@ -0,0 +1,55 @@
+// Messages from plain Errors (child processes, Electron, Node) that retrying can never fix
+const PERMANENT_PATTERNS = [
+  /PDF file not found/i,
+  /No valid PDF source provided/i,
+  /No print content provided/i,
+  /Failed to process PDF data/i,
+  /Unsupported platform/i,
+  /Invalid URL/i
+];
+
+/**
+ * PrintError - Error raised by the print pipeline with a machine-readable code
+ * and a flag saying whether a retry could ever succeed.
+ */
+class PrintError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {string} options.code - Machine-readable error code (e.g. 'PDF_NOT_FOUND')
+   * @param {boolean} options.permanent - True if retrying cannot succeed
+   */
+  constructor(message, { code = 'PRINT_FAILED', permanent = false } = {}) {
+    super(message);
+    this.name = 'PrintError';
+    this.code = code;
+    this.permanent = permanent;
+  }
+
+  /**
+   * Create an error that should fail the job immediately
+   */
+  static permanent(message, code) {
+    return new PrintError(message, { code, permanent: true });
+  }
+
+  /**
+   * Create an error that is worth retrying
+   */
+  static transient(message, code) {
+    return new PrintError(message, { code, permanent: false });
+  }
+
+  /**
+   * Classify any error as 'permanent' or 'transient'
+   */
+  static classify(error) {
+    if (error instanceof PrintError) {
+      return error.permanent ? 'permanent' : 'transient';
+    }
+    const message = (error && error.message) || String(error);
+    return PERMANENT_PATTERNS.some(pattern => pattern.test(message)) ? 'permanent' : 'transient';
+  }
+}
+
+module.exports = PrintError;
@@ -0,0 +1,277 @@
+const DUPLEX_MODES = ['simplex', 'long-edge', 'short-edge'];
+const COLOR_MODES = ['color', 'monochrome'];
+const ORIENTATIONS = ['portrait', 'landscape'];
+const SCALING_MODES = ['fit', 'shrink', 'none'];
+
+// Media and tray names end up on a command line, so only allow plain names
+const NAME_PATTERN = /^[A-Za-z0-9._ -]{1,64}$/;
+const PAGE_RANGES_PATTERN = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+
+const CUPS_SIDES = {
+  simplex: 'one-sided',
+  'long-edge': 'two-sided-long-edge',
+  'short-edge': 'two-sided-short-edge'
+};
+const CUPS_SCALING = { fit: 'fit', shrink: 'auto-fit', none: 'none' };
+// Common media names mapped to IPP (PWG 5101.1) media keywords
+const IPP_MEDIA = {
+  a3: 'iso_a3_297x420mm',
+  a4: 'iso_a4_210x297mm',
+  a5: 'iso_a5_148x210mm',
+  a6: 'iso_a6_105x148mm',
+  letter: 'na_letter_8.5x11in',
+  legal: 'na_legal_8.5x14in',
+  tabloid: 'na_ledger_11x17in',
+  '4x6': 'na_index-4x6_4x6in'
+};
+const SUMATRA_DUPLEX = { simplex: 'simplex', 'long-edge': 'duplexlong', 'short-edge': 'duplexshort' };
+const SUMATRA_SCALING = { fit: 'fit', shrink: 'shrink', none: 'noscale' };
+
+/**
+ * PrintOptions - Normalized print options shared by every print path
+ * Job data carries the options as flat fields (copies, duplex, colorMode,
+ * orientation, pageRanges, pageSize, tray, scaling, collate); this validates
+ * them and translates them into CUPS `lp` arguments, IPP attributes and SumatraPDF settings.
+ */
+class PrintOptions {
+  /**
+   * Normalize option fields from job data, accepting a few common aliases
+   * @returns {Object} Options with null for anything not set
+   */
+  static normalize(source = {}) {
+    let duplex = source.duplex;
+    if (duplex === true) {
+      duplex = 'long-edge';
+    } else if (duplex === false) {
+      duplex = 'simplex';
+    }
+
+    let colorMode = source.colorMode;
+    if (colorMode === 'grayscale' || colorMode === 'mono') {
+      colorMode = 'monochrome';
+    }
+
+    return {
+      copies: source.copies ? Number(source.copies) : 1,
+      duplex: duplex || null,
+      colorMode: colorMode || null,
+      orientation: source.orientation || null,
+      pageRanges: source.pageRanges ? String(source.pageRanges).replace(/\s+/g, '') : null,
+      pageSize: typeof source.pageSize === 'string' ? source.pageSize : null,
+      tray: source.tray || null,
+      scaling: source.scaling || null,
+      collate: typeof source.collate === 'boolean' ? source.collate : null
+    };
+  }
+
+  /**
+   * Check option fields from job data
+   * @returns {string[]} Validation errors (empty when the options are valid)
+   */
+  static validate(source = {}) {
+    const options = PrintOptions.normalize(source);
+    const errors = [];
+
+    if (!Number.isInteger(options.copies) || options.copies < 1 || options.copies > 999) {
+      errors.push('copies must be a whole number between 1 and 999');
+    }
+    if (options.duplex && !DUPLEX_MODES.includes(options.duplex)) {
+      errors.push(`duplex must be one of ${DUPLEX_MODES.join(', ')}`);
+    }
+    if (options.colorMode && !COLOR_MODES.includes(options.colorMode)) {
+      errors.push(`colorMode must be one of ${COLOR_MODES.join(', ')}`);
+    }
+    if (options.orientation && !ORIENTATIONS.includes(options.orientation)) {
+      errors.push(`orientation must be one of ${ORIENTATIONS.join(', ')}`);
+    }
+    if (options.pageRanges && !PrintOptions.isValidPageRanges(options.pageRanges)) {
+      errors.push('pageRanges must look like "1-3,5" with pages starting at 1');
+    }
+    if (source.pageSize !== undefined && source.pageSize !== null &&
+        !(typeof source.pageSize === 'string' && NAME_PATTERN.test(source.pageSize))) {
+      errors.push('pageSize must be a media name such as A4 or Letter');
+    }
+    if (options.tray && !(typeof options.tray === 'string' && NAME_PATTERN.test(options.tray))) {
+      errors.push('tray must be an input tray name such as Tray2');
+    }
+    if (options.scaling && !SCALING_MODES.includes(options.scaling)) {
+      errors.push(`scaling must be one of ${SCALING_MODES.join(', ')}`);
+    }
+    if (source.collate !== undefined && source.collate !== null && typeof source.collate !== 'boolean') {
+      errors.push('collate must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check normalized options against what a printer supports
+   * Capabilities that are unknown (null or an empty list) never reject anything.
+   * @param {Object} options - Normalized options
+   * @param {Object} capabilities - From PrinterBackend.getCapabilities()
+   * @returns {string[]} Options the printer cannot honour (empty when it can print the job)
+   */
+  static checkCapabilities(options, capabilities) {
+    const errors = [];
+
+    if (options.duplex && options.duplex !== 'simplex' && capabilities.duplex === false) {
+      errors.push('duplex printing is not supported');
+    }
+    if (options.colorMode === 'color' && capabilities.color === false) {
+      errors.push('color printing is not supported');
+    }
+    if (options.pageSize && capabilities.pageSizes.length > 0 &&
+        !PrintOptions.matchesName(PrintOptions.mediaNames(options.pageSize), capabilities.pageSizes.flatMap(PrintOptions.mediaNames))) {
+      errors.push(`pageSize "${options.pageSize}" is not supported (supported: ${capabilities.pageSizes.join(', ')})`);
+    }
+    if (options.tray && capabilities.trays.length > 0 &&
+        !PrintOptions.matchesName([options.tray], capabilities.trays)) {
+      errors.push(`tray "${options.tray}" is not supported (supported: ${capabilities.trays.join(', ')})`);
+    }
+    return errors;
+  }
+
+  /**
+   * Names a media size goes by: as given, its IPP keyword, and the size name
+   * inside a PWG keyword ("iso_a4_210x297mm" is also "a4")
+   */
+  static mediaNames(media) {
+    const names = [media, IPP_MEDIA[media.toLowerCase()] || media];
+    const parts = media.split('_');
+    if (parts.length >= 3) {
+      names.push(parts.slice(1, -1).join('_'));
+    }
+    return names;
+  }
+
+  /**
+   * Whether any two names match, ignoring case and punctuation ("Tray2" = "tray-2")
+   */
+  static matchesName(names, supported) {
+    const simplify = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    const wanted = new Set(names.map(simplify));
+    return supported.some(name => wanted.has(simplify(name)));
+  }
+
+  /**
+   * Check that page ranges are well formed and ascending within each range
+   */
+  static isValidPageRanges(pageRanges) {
+    if (!PAGE_RANGES_PATTERN.test(pageRanges)) {
+      return false;
+    }
+    return pageRanges.split(',').every(range => {
+      const [start, end = start] = range.split('-').map(Number);
+      return start >= 1 && end >= start;
+    });
+  }
+
+  /**
+   * Translate options into `lp` arguments (excluding the destination)
+   * @returns {string[]} Arguments, already quoted for a shell command line
+   */
+  static toCupsArgs(options) {
+    const args = ['-n', String(options.copies)];
+    const addOption = (value) => args.push('-o', `"${value}"`);
+
+    if (options.pageRanges) {
+      args.push('-P', options.pageRanges);
+    }
+    if (options.duplex) {
+      addOption(`sides=${CUPS_SIDES[options.duplex]}`);
+    }
+    if (options.colorMode) {
+      addOption(`print-color-mode=${options.colorMode}`);
+    }
+    if (options.orientation) {
+      // IPP orientation-requested: 3 = portrait, 4 = landscape
+      addOption(`orientation-requested=${options.orientation === 'landscape' ? 4 : 3}`);
+    }
+    if (options.pageSize) {
+      addOption(`media=${options.pageSize}`);
+    }
+    if (options.tray) {
+      addOption(`InputSlot=${options.tray}`);
+    }
+    if (options.scaling) {
+      addOption(`print-scaling=${CUPS_SCALING[options.scaling]}`);
+    }
+    if (options.collate !== null) {
+      addOption(`collate=${options.collate}`);
+    }
+    return args;
+  }
+
+  /**
+   * Translate options into IPP job template attributes
+   * Media names that are not in the common list are passed through unchanged,
+   * so PWG keywords such as `na_govt-letter_8x10in` work as-is.
+   */
+  static toIppAttributes(options) {
+    const attributes = { copies: options.copies };
+    const media = options.pageSize ? (IPP_MEDIA[options.pageSize.toLowerCase()] || options.pageSize) : null;
+
+    if (options.pageRanges) {
+      attributes['page-ranges'] = options.pageRanges.split(',').map(range => {
+        const [lower, upper = lower] = range.split('-').map(Number);
+        return { lower, upper };
+      });
+    }
+    if (options.duplex) {
+      attributes.sides = CUPS_SIDES[options.duplex];
+    }
+    if (options.colorMode) {
+      attributes['print-color-mode'] = options.colorMode;
+    }
+    if (options.orientation) {
+      attributes['orientation-requested'] = options.orientation === 'landscape' ? 4 : 3;
+    }
+    if (options.tray) {
+      // The input tray can only be given inside media-col
+      attributes['media-col'] = media ? { 'media-source': options.tray, 'media-size-name': media } : { 'media-source': options.tray };
+    } else if (media) {
+      attributes.media = media;
+    }
+    if (options.scaling) {
+      attributes['print-scaling'] = CUPS_SCALING[options.scaling];
+    }
+    if (options.collate !== null) {
+      attributes['multiple-document-handling'] = options.collate
+        ? 'separate-documents-collated-copies'
+        : 'separate-documents-uncollated-copies';
+    }
+    return attributes;
+  }
+
+  /**
+   * Translate options into a SumatraPDF `-print-settings` value
+   * Sumatra has no collate setting; its copies are always collated.
+   */
+  static toSumatraSettings(options) {
+    const settings = [
+      SUMATRA_SCALING[options.scaling || 'fit'],
+      'center',
+      `paper=${options.pageSize || 'auto'}`,
+      `bin=${options.tray || 'auto'}`
+    ];
+
+    if (options.duplex) {
+      settings.push(SUMATRA_DUPLEX[options.duplex]);
+    }
+    if (options.colorMode) {
+      settings.push(options.colorMode);
+    }
+    if (options.orientation) {
+      settings.push(options.orientation);
+    }
+    if (options.copies > 1) {
+      settings.push(`${options.copies}x`);
+    }
+    if (options.pageRanges) {
+      settings.push(options.pageRanges);
+    }
+    return settings.join(',');
+  }
+}
+
+module.exports = PrintOptions;
@@ -2,551 +2,1229 @@ const { EventEmitter } = require('events');
 const { webContents } = require('electron');
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const { app } = require('electron');
+const JobStore = require('./JobStore');
+const PrinterWorker = require('./PrinterWorker');
+const PrinterPoolManager = require('./PrinterPoolManager');
+const PrinterRoleManager = require('./PrinterRoleManager');
+const PrinterMonitor = require('./PrinterMonitor');
+const PrinterRegistry = require('./PrinterRegistry');
+const PrintError = require('./PrintError');
+const JobScheduler = require('./JobScheduler');
+const PrintOptions = require('./PrintOptions');
+const RawPrinter = require('./RawPrinter');
+const SocketPrinter = require('./SocketPrinter');
+const DocumentRenderer = require('../documents/DocumentRenderer');
+const ReceiptRenderer = require('../documents/ReceiptRenderer');
+const ImageDocument = require('../documents/ImageDocument');
+const TemplateStore = require('../templates/TemplateStore');
+const PdfPreflight = require('../documents/PdfPreflight');
+const PdfStamper = require('../documents/PdfStamper');
+const PdfImposer = require('../documents/PdfImposer');
+const BackendManager = require('../backends/BackendManager');
+
+const PREVIEW_CACHE_SIZE = 50;
+const CAPABILITY_CACHE_TTL = 5 * 60 * 1000; // Printers rarely change; re-read every 5 minutes
 
 class PrintSpooler extends EventEmitter {
   constructor(configManager) {
     super();
     this.configManager = configManager;
-    this.jobQueue = [];
+    this.workers = new Map(); // One PrinterWorker per resolved printer name
     this.jobHistory = []; // Store completed/failed/cancelled jobs for UI display
-    this.currentJob = null;
-    this.isProcessing = false;
     this.defaultPrinter = configManager.get('defaultPrinter', null);
-    this.sumatraPath = configManager.get('sumatraPath', null);
+    this.defaultPrinterMissing = false; // The configured default printer has been unplugged or removed
     this.maxRetries = configManager.get('maxRetries', 3);
-    this.retryDelay = configManager.get('retryDelay', 5000); // 5 seconds
+    this.retryDelay = configManager.get('retryDelay', 5000); // 5 seconds, base for exponential backoff
+    this.maxRetryDelay = configManager.get('maxRetryDelay', 300000); // 5 minutes
     this.maxQueueSize = configManager.get('maxQueueSize', 100);
+    this.maxHistorySize = configManager.get('maxHistorySize', 200);
+    this.idempotencyWindow = configManager.get('idempotencyWindow', 24 * 60 * 60 * 1000); // 24 hours
+    // Submissions still being checked, by idempotency key, so concurrent repeats share them
+    this.pendingJobs = new Map(); // idempotencyKey -> Promise<job>
+    this.pendingBatches = new Map(); // idempotencyKey -> Promise<{batchId, jobs}>
+    this.workerConcurrency = configManager.get('workerConcurrency', 1);
+    // Pause state is kept in config so a paused queue stays paused across restarts
+    this.paused = configManager.get('queuePaused', false);
+    this.pausedPrinters = new Set(configManager.get('pausedPrinters', []) || []);
+    this.pools = new PrinterPoolManager(configManager, {
+      failureCooldown: configManager.get('poolFailureCooldown', 60000),
+      isAvailable: (name) => this.isPrinterAvailable(name)
+    });
+    // Logical roles ("scoresheets", "badges") mapped to this venue's printers or pools
+    this.roles = new PrinterRoleManager(configManager);
+    // CUPS, SumatraPDF, PowerShell/Edge, Electron or the virtual file printer
+    this.backends = new BackendManager(configManager);
+    // Printers are discovered once and refreshed in the background instead of on every request
+    this.printerRegistry = new PrinterRegistry(this.backends, {
+      interval: configManager.get('printerRefreshInterval', 30000)
+    });
+    this.printerRegistry.on('printer-added', (printer) => this.emit('printer-added', printer));
+    this.printerRegistry.on('printer-removed', (printer) => this.emit('printer-removed', printer));
+    this.printerRegistry.on('printers-changed', () => this.checkDefaultPrinter());
+    // Jobs for a printer that is offline, stopped or out of paper wait until it is back
+    this.printerMonitor = new PrinterMonitor(this.backends, {
+      interval: configManager.get('printerMonitorInterval', 15000)
+    });
+    this.printerMonitor.on('printer-status', (health) => this.onPrinterStatus(health));
+    this.capabilityCache = new Map(); // printerName -> { capabilities, fetchedAt }
+    // Follow submitted jobs until the printer really finishes them (CUPS)
+    this.trackPrinterJobs = configManager.get('trackPrinterJobs', true);
+    // Reject bad PDFs before they are queued
+    this.pdfPreflight = new PdfPreflight({
+      maxBytes: configManager.get('maxPdfBytes', 50 * 1024 * 1024),
+      maxPages: configManager.get('maxPdfPages', 500),
+      allowEncrypted: configManager.get('allowEncryptedPdf', false)
+    });
+    this.scheduler = new JobScheduler({
+      onRelease: (job) => this.enqueueReleasedJob(job)
+    });
+    this.documentRenderer = new DocumentRenderer();
+    this.previewCache = new Map(); // "jobId:page:width" -> rendered preview
+    this.previewQueue = Promise.resolve();
+    this.socketPrinter = new SocketPrinter();
+    this.templateStore = new TemplateStore(path.join(app.getPath('userData'), 'templates'));
+    this.jobStore = new JobStore(path.join(app.getPath('userData'), 'print-jobs.json'), {
+      maxHistory: this.maxHistorySize
+    });
+    this.restoreJobs();
+  }
+
+  /**
+   * Reload the persisted queue and history from the job store
+   * Jobs that were mid-print when the agent stopped are re-queued as recovered
+   */
+  restoreJobs() {
+    const { queue, history } = this.jobStore.load();
+    this.jobHistory = history;
+
+    queue.forEach(job => {
+      if (job.status === 'processing' || job.status === 'printing') {
+        job.status = 'queued';
+        job.recovered = true;
+      }
+      // Jobs persisted before per-printer workers have no resolved printer yet
+      if (job.printerName === undefined) {
+        job.printerName = this.resolvePrinterName(job.data.printerName);
+      }
+      if (job.usesDefaultPrinter === undefined) {
+        job.usesDefaultPrinter = !job.pool && !job.data.printerName && !job.data.printerRole;
+      }
+      // The default printer may have been changed while the agent was stopped
+      if (job.usesDefaultPrinter) {
+        job.printerName = this.resolvePrinterName(null);
+      }
+      if (job.status === 'scheduled' || job.status === 'held') {
+        this.scheduler.add(job);
+      } else {
+        this.getWorker(job.printerName).enqueue(job);
+      }
+    });
+
+    if (queue.length > 0) {
+      const recovered = queue.filter(job => job.recovered).length;
+      console.log(`Restored ${queue.length} queued job(s) from disk (${recovered} recovered mid-print)`);
+    }
+  }
+
+  /**
+   * Save the current queue and history to the job store
+   * Status updates are coalesced (see JobStore). Jobs being added, finished, cancelled
+   * or retried are written at once, so a crash right after cannot lose or reprint them.
+   * @param {Object} options
+   * @param {boolean} options.immediate - Write now instead of with the next coalesced save
+   */
+  persistJobs({ immediate = false } = {}) {
+    this.jobStore.save(this.getJobQueue(), this.jobHistory);
+    if (immediate) {
+      this.jobStore.flush();
+    }
+  }
+
+  /**
+   * Move a finished job into history, keeping history bounded
+   */
+  addToHistory(job) {
+    this.jobHistory.push({ ...job });
+    if (this.jobHistory.length > this.maxHistorySize) {
+      this.jobHistory.splice(0, this.jobHistory.length - this.maxHistorySize);
+    }
+  }
+
+  /**
+   * Start processing any jobs restored from a previous session
+   */
+  start() {
+    // Scheduled jobs that fell due while the agent was stopped print now
+    this.scheduler.releaseDue();
+    this.processQueue();
+    this.printerRegistry.start();
+    this.printerMonitor.start();
+  }
+
+  /**
+   * Pass printer health changes on and wake the printer's worker once it is back
+   */
+  onPrinterStatus(health) {
+    this.emit('printer-status', health);
+    if (!health.available) {
+      return;
+    }
+    const worker = this.workers.get(health.name);
+    if (worker) {
+      worker.process();
+    }
+    // Jobs for the system default printer sit on the unnamed worker
+    if (health.name === this.printerMonitor.defaultPrinterName && this.workers.has('')) {
+      this.workers.get('').process();
+    }
+  }
+
+  /**
+   * Whether a printer can take jobs right now (see PrinterMonitor)
+   */
+  isPrinterAvailable(printerName) {
+    return this.printerMonitor.isAvailable(printerName);
+  }
+
+  /**
+   * Resolve the printer a job should go to (explicit name, else the default printer)
+   * @returns {string|null} Printer name, or null for the system default
+   */
+  resolvePrinterName(printerName) {
+    return printerName || this.getDefaultPrinter() || null;
+  }
+
+  /**
+   * Configured default printer, or null (the system default) while it is missing
+   */
+  getDefaultPrinter() {
+    return this.defaultPrinterMissing ? null : this.defaultPrinter;
+  }
+
+  /**
+   * Fall back to the system default printer while the configured one is not found
+   */
+  checkDefaultPrinter() {
+    const missing = !!this.defaultPrinter && !this.isKnownPrinter(this.defaultPrinter);
+    if (missing && !this.defaultPrinterMissing) {
+      console.warn(`Default printer ${this.defaultPrinter} is no longer available, using the system default printer`);
+    } else if (!missing && this.defaultPrinterMissing) {
+      console.log(`Default printer ${this.defaultPrinter} is available again`);
+    }
+    const changed = missing !== this.defaultPrinterMissing;
+    this.defaultPrinterMissing = missing;
+    if (changed) {
+      this.retargetDefaultPrinterJobs();
+    }
+  }
+
+  /**
+   * Turn a job's printerRole / printerName into the printer or pool it asks for
+   * A mapped role wins over printerName. A printerName that matches a role is mapped
+   * too, so printer names the server hard-codes can be pointed at local printers.
+   * @returns {string|undefined} Printer or pool name (unset = default printer)
+   * @throws {PrintError} When printerRole is not mapped and there is no printerName to fall back to
+   */
+  resolveRequestedPrinter(printerName, printerRole) {
+    if (printerRole) {
+      const mapped = this.roles.getPrinter(printerRole);
+      if (mapped) {
+        return mapped;
+      }
+      if (!printerName) {
+        throw PrintError.permanent(`Printer role "${printerRole}" is not mapped to a printer`, 'UNKNOWN_PRINTER_ROLE');
+      }
+    }
+    return this.roles.getPrinter(printerName) || printerName;
+  }
+
+  /**
+   * Resolve a job's target printer, dispatching pool names to their least-busy healthy member
+   * @returns {{ printerName: string|null, pool: string|null, usesDefaultPrinter: boolean }}
+   */
+  resolveJobTarget(printerName) {
+    if (!this.pools.isPool(printerName)) {
+      return { printerName: this.resolvePrinterName(printerName), pool: null, usesDefaultPrinter: !printerName };
+    }
+
+    const member = this.pools.selectMember(printerName, { getLoad: (name) => this.getPrinterLoad(name) });
+    if (!member) {
+      throw new Error(`Printer pool "${printerName}" has no member printers`);
+    }
+    return { printerName: member, pool: printerName, usesDefaultPrinter: false };
+  }
+
+  /**
+   * Number of queued plus in-flight jobs on a printer
+   */
+  getPrinterLoad(printerName) {
+    const worker = this.workers.get(printerName || '');
+    return worker ? worker.queue.length + worker.activeJobs.length : 0;
+  }
+
+  /**
+   * Get (or lazily create) the worker for a resolved printer
+   */
+  getWorker(printerName) {
+    const key = printerName || '';
+    let worker = this.workers.get(key);
+    if (!worker) {
+      worker = new PrinterWorker(printerName || null, {
+        concurrency: this.getWorkerConcurrency(printerName),
+        runJob: (job, w) => this.runJob(job, w),
+        isPaused: () => this.isPrinterPaused(printerName),
+        isAvailable: () => this.isPrinterAvailable(printerName)
+      });
+      this.workers.set(key, worker);
+    }
+    return worker;
+  }
+
+  /**
+   * Pause the whole queue (in-flight jobs finish, nothing new starts)
+   */
+  pauseQueue() {
+    this.paused = true;
+    this.savePauseState();
+    console.log('Print queue paused');
+    this.emit('pause-changed', this.getPauseState());
+    return true;
+  }
+
+  /**
+   * Resume the whole queue
+   */
+  resumeQueue() {
+    this.paused = false;
+    this.savePauseState();
+    console.log('Print queue resumed');
+    this.emit('pause-changed', this.getPauseState());
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Pause a single printer
+   */
+  pausePrinter(printerName) {
+    if (!printerName) {
+      return false;
+    }
+    this.pausedPrinters.add(printerName);
+    this.savePauseState();
+    console.log(`Printer paused: ${printerName}`);
+    this.emit('pause-changed', this.getPauseState());
+    return true;
+  }
+
+  /**
+   * Resume a single printer
+   */
+  resumePrinter(printerName) {
+    if (!this.pausedPrinters.delete(printerName)) {
+      return false;
+    }
+    this.savePauseState();
+    console.log(`Printer resumed: ${printerName}`);
+    this.emit('pause-changed', this.getPauseState());
+    const worker = this.workers.get(printerName);
+    if (worker) {
+      worker.process();
+    }
+    return true;
+  }
+
+  /**
+   * True if the whole queue or this specific printer is paused
+   */
+  isPrinterPaused(printerName) {
+    return this.paused || (!!printerName && this.pausedPrinters.has(printerName));
+  }
+
+  getPauseState() {
+    return {
+      paused: this.paused,
+      pausedPrinters: Array.from(this.pausedPrinters)
+    };
+  }
+
+  savePauseState() {
+    this.configManager.set('queuePaused', this.paused);
+    this.configManager.set('pausedPrinters', Array.from(this.pausedPrinters));
+  }
+
+  /**
+   * Concurrency for a printer: per-printer override from config, else the global default
+   */
+  getWorkerConcurrency(printerName) {
+    const overrides = this.configManager.get('printerConcurrency', {}) || {};
+    const value = printerName ? overrides[printerName] : null;
+    return Number.isInteger(value) && value > 0 ? value : this.workerConcurrency;
+  }
+
+  /**
+   * Get all available printers (from the printer registry's cache)
+   * @param {Object} options - { refresh: true } to discover printers again first
+   */
+  async getAvailablePrinters(options = {}) {
+    const printers = await this.printerRegistry.getPrinters(options);
+    return printers.map(printer => ({ ...printer, health: this.printerMonitor.getHealth(printer.name) }));
+  }
+
+  /**
+   * Whether a printer name can be printed to: a listed printer, an IPP printer,
+   * or anything at all while every job goes to the virtual file printer
+   */
+  async hasPrinter(printerName) {
+    await this.printerRegistry.getPrinters();
+    return this.isKnownPrinter(printerName);
+  }
+
+  isKnownPrinter(printerName) {
+    return this.backends.capturesAllJobs() || this.backends.get('ipp').handles(printerName) ||
+      this.printerRegistry.has(printerName);
+  }
+
+  /**
+   * Pick the backend that prints to a printer (null = default printer)
+   */
+  getBackend(printerName) {
+    return this.backends.resolve(printerName || this.getDefaultPrinter());
+  }
+
+  /**
+   * Set the default printer
+   */
+  setDefaultPrinter(printerName) {
+    this.defaultPrinter = printerName;
+    this.defaultPrinterMissing = false;
+    this.configManager.set('defaultPrinter', printerName);
+    this.retargetDefaultPrinterJobs();
+  }
+
+  /**
+   * Map a printer role to a printer or pool (an empty name removes the role)
+   */
+  setPrinterRole(role, printerName) {
+    const roles = this.roles.setRole(role, printerName);
+    console.log(printerName ? `Printer role ${role} mapped to ${printerName}` : `Printer role ${role} removed`);
+    return roles;
+  }
+
+  /**
+   * Whether a printer, or at least one member of a pool, can print now
+   */
+  isTargetAvailable(name) {
+    if (this.pools.isPool(name)) {
+      return this.pools.getMembers(name).some(member => this.isPrinterAvailable(member));
+    }
+    return this.isPrinterAvailable(name);
+  }
+
+  /**
+   * Reload backend settings (SumatraPDF path, printBackend, virtual printer) from config
+   */
+  reloadBackends() {
+    this.backends.reload();
+    this.capabilityCache.clear();
+    // A different backend (or IPP printer list) can mean different printers
+    this.printerRegistry.refresh();
+  }
+
+  /**
+   * What a printer supports (media sizes, duplex, color, trays, resolutions)
+   * @param {string|null} printerName - null for the default printer
+   */
+  async getPrinterCapabilities(printerName) {
+    const resolved = this.resolvePrinterName(printerName);
+    const cached = this.capabilityCache.get(resolved || '');
+    if (cached && Date.now() - cached.fetchedAt < CAPABILITY_CACHE_TTL) {
+      return cached.capabilities;
+    }
+
+    const capabilities = await this.backends.getCapabilities(resolved);
+    this.capabilityCache.set(resolved || '', { capabilities, fetchedAt: Date.now() });
+    return capabilities;
+  }
+
+  /**
+   * Reject a job whose duplex, color, page size or tray its printer cannot do
+   * Raw and receipt jobs carry their own printer commands, and pool jobs can end
+   * up on any member, so only documents for a single printer are checked.
+   * @throws {PrintError} Permanent UNSUPPORTED_OPTION error
+   */
+  async checkPrinterOptions(jobData, target) {
+    if (target.pool || jobData.rawData || jobData.receipt) {
+      return;
+    }
+    const options = PrintOptions.normalize(jobData);
+    if (!options.duplex && !options.colorMode && !options.pageSize && !options.tray) {
+      return;
+    }
+
+    let capabilities;
+    try {
+      capabilities = await this.getPrinterCapabilities(target.printerName);
+    } catch (error) {
+      console.warn(`Could not check options against ${target.printerName || 'default printer'}:`, error.message);
+      return;
+    }
+    const errors = PrintOptions.checkCapabilities(options, capabilities);
+    if (errors.length > 0) {
+      throw PrintError.permanent(`${target.printerName || 'The default printer'} cannot print this job: ${errors.join('; ')}`, 'UNSUPPORTED_OPTION');
+    }
   }
 
   /**
-   * Resolve SumatraPDF path (Windows only, prefer user-configured)
+   * Add a print job to the queue
+   */
+  async addJob(jobData) {
+    // A repeated submission returns the job created the first time
+    const existing = this.findJobByIdempotencyKey(jobData.idempotencyKey);
+    if (existing) {
+      console.log(`Idempotency key ${jobData.idempotencyKey} matches job ${existing.id}, not adding a duplicate`);
+      return existing;
+    }
+    return this.reserveIdempotencyKey(this.pendingJobs, jobData.idempotencyKey, () => this.createQueuedJob(jobData));
+  }
+
+  /**
+   * Run a submission while holding its idempotency key
+   * The key is reserved before the first await, so a concurrent request with the
+   * same key waits for this submission instead of adding a second job.
+   * @param {Map} pending - Key -> promise of the submission in progress
+   */
+  reserveIdempotencyKey(pending, key, submit) {
+    if (!key) {
+      return submit();
+    }
+    if (pending.has(key)) {
+      console.log(`Idempotency key ${key} is already being submitted, waiting for it`);
+      return pending.get(key);
+    }
+    const submission = submit().finally(() => pending.delete(key));
+    pending.set(key, submission);
+    return submission;
+  }
+
+  /**
+   * Check a new job and queue it
+   */
+  async createQueuedJob(jobData) {
+    const preflight = await this.preflightJob(jobData);
+    this.checkQueueCapacity(1);
+    const target = this.resolveJobTarget(this.resolveRequestedPrinter(jobData.printerName, jobData.printerRole));
+    await this.checkPrinterOptions(jobData, target);
+    const job = this.createJob(jobData, target, { pageCount: preflight ? preflight.pageCount : null });
+    this.queueJobs([job]);
+    return job;
+  }
+
+  /**
+   * Add an ordered batch of documents that prints as one contiguous, collated unit
+   * Every document goes to the same printer; batch-wide options (printer, priority,
+   * schedule, idempotency key) override anything set on individual documents.
+   * @param {Array<Object>} documents - Job data for each document, in print order
+   * @param {Object} options - Batch-wide options
+   * @returns {Promise<{batchId: string, jobs: Array<Object>}>}
+   */
+  async addBatch(documents, options = {}) {
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new Error('A batch must contain at least one document');
+    }
+
+    // A repeated submission returns the batch created the first time
+    const existing = this.findBatchByIdempotencyKey(options.idempotencyKey);
+    if (existing) {
+      console.log(`Idempotency key ${options.idempotencyKey} matches batch ${existing}, not adding a duplicate`);
+      return { batchId: existing, jobs: this.getBatchJobs(existing) };
+    }
+    return this.reserveIdempotencyKey(this.pendingBatches, options.idempotencyKey,
+      () => this.createQueuedBatch(documents, options));
+  }
+
+  /**
+   * Check every document of a new batch and queue them together
+   */
+  async createQueuedBatch(documents, options) {
+    // Check every document before queueing any, so a bad one rejects the whole batch
+    const preflights = [];
+    for (let i = 0; i < documents.length; i++) {
+      try {
+        preflights.push(await this.preflightJob(documents[i]));
+      } catch (error) {
+        error.message = `documents[${i}]: ${error.message}`;
+        throw error;
+      }
+    }
+
+    this.checkQueueCapacity(documents.length);
+
+    // Resolve once so the whole batch lands on one printer (pool members are not mixed)
+    const requested = this.resolveRequestedPrinter(options.printerName, options.printerRole);
+    const { printerName, usesDefaultPrinter } = this.resolveJobTarget(requested);
+    const target = { printerName, pool: null, usesDefaultPrinter };
+    for (let i = 0; i < documents.length; i++) {
+      try {
+        await this.checkPrinterOptions(documents[i], target);
+      } catch (error) {
+        error.message = `documents[${i}]: ${error.message}`;
+        throw error;
+      }
+    }
+    const batchId = this.generateBatchId();
+    const jobs = documents.map((document, index) => this.createJob({
+      ...document,
+      printerName: options.printerName,
+      printerRole: options.printerRole,
+      priority: options.priority || document.priority,
+      printAt: options.printAt,
+      hold: options.hold === true,
+      idempotencyKey: options.idempotencyKey ? `${options.idempotencyKey}:${index}` : null
+    }, target, {
+      batchId,
+      batchIndex: index,
+      batchSize: documents.length,
+      pageCount: preflights[index] ? preflights[index].pageCount : null
+    }));
+
+    console.log(`Added batch ${batchId} with ${jobs.length} document(s) for ${target.printerName || 'System Default'}`);
+    this.queueJobs(jobs);
+    return { batchId, jobs };
+  }
+
+  /**
+   * Preflight a job's inline or local PDF
+   * PDFs from pdfUrl are checked once downloaded, just before printing.
+   * @returns {Promise<Object|null>} Preflight result, or null if there is no PDF to check yet
+   * @throws {PrintError} Permanent error with a PDF_* code when the PDF is rejected
+   */
+  async preflightJob(jobData) {
+    const data = PdfPreflight.readSource(jobData);
+    if (!data) {
+      return null;
+    }
+    return this.pdfPreflight.check(data);
+  }
+
+  /**
+   * Build a new job record for the given target printer
+   */
+  createJob(jobData, target, extra = {}) {
+    // Pin template jobs to the version that was current when they were queued
+    if (jobData.template && !jobData.templateVersion) {
+      jobData = { ...jobData, templateVersion: this.templateStore.getLatestVersion(jobData.template) };
+    }
+
+    return {
+      id: this.generateJobId(),
+      timestamp: new Date().toISOString(),
+      status: 'queued',
+      priority: jobData.priority || 'normal',
+      printerName: target.printerName,
+      pool: target.pool,
+      usesDefaultPrinter: !!target.usesDefaultPrinter, // Follows the default printer until it starts printing
+      printerRole: jobData.printerRole || null,
+      idempotencyKey: jobData.idempotencyKey || null,
+      serverJobId: (jobData.metadata && jobData.metadata.serverJobId) || null,
+      ...extra,
+      data: jobData,
+      retryCount: 0,
+      error: null
+    };
+  }
+
+  /**
+   * Throw if adding the given number of jobs would overflow the queue
+   * (deferred jobs count towards the limit)
+   */
+  checkQueueCapacity(count) {
+    if (this.getQueuedJobCount() + this.scheduler.getJobs().length + count > this.maxQueueSize) {
+      throw new Error('Print queue is full. Please wait for jobs to complete.');
+    }
+  }
+
+  /**
+   * Hand new jobs to the scheduler or their printer workers, then start printing
+   */
+  queueJobs(jobs) {
+    const workers = new Set();
+    jobs.forEach(job => {
+      // Document data is written once here, not with every status change
+      this.jobStore.savePayload(job);
+      // Scheduled / held jobs wait in the scheduler until they are due or released
+      if (JobScheduler.isDeferred(job.data)) {
+        job.status = job.data.hold === true ? 'held' : 'scheduled';
+        job.printAt = job.data.printAt ? new Date(job.data.printAt).toISOString() : null;
+        this.scheduler.add(job);
+        return;
+      }
+      const worker = this.getWorker(job.printerName);
+      worker.enqueue(job);
+      workers.add(worker);
+    });
+
+    this.persistJobs({ immediate: true });
+    jobs.forEach(job => this.emit('job-added', job));
+
+    // Start processing on each printer's worker
+    workers.forEach(worker => worker.process());
+  }
+
+  /**
+   * Move a released scheduled/held job into its printer's queue
+   */
+  enqueueReleasedJob(job) {
+    job.status = 'queued';
+    job.releasedAt = new Date().toISOString();
+    // Pool members are picked when the job actually enters the queue
+    const worker = this.getJobWorker(job);
+    worker.enqueue(job);
+    this.persistJobs();
+    this.emit('job-updated', job);
+    worker.process();
+  }
+
+  /**
+   * Release a scheduled or held job so it prints now
+   * @returns {boolean} True if the job was waiting and has been released
+   */
+  releaseJob(jobId) {
+    // Releasing any document of a batch releases the whole batch, in order
+    const job = this.scheduler.getJobs().find(j => j.id === jobId);
+    if (job && job.batchId) {
+      this.scheduler.getJobs()
+        .filter(j => j.batchId === job.batchId)
+        .sort((a, b) => a.batchIndex - b.batchIndex)
+        .forEach(j => this.scheduler.release(j.id));
+      return true;
+    }
+    return this.scheduler.release(jobId);
+  }
+
+  /**
+   * Process the print queue (kicks every printer worker)
+   */
+  processQueue() {
+    this.workers.forEach(worker => worker.process());
+  }
+
+  /**
+   * Run a single job on its printer worker: print, then complete, retry or fail it
+   */
+  async runJob(job, worker) {
+    job.status = 'processing';
+    this.emit('job-updated', job);
+
+    try {
+      // Update status to "printing" when actually starting to print
+      job.status = 'printing';
+      job.nextAttemptAt = null;
+      this.persistJobs();
+      this.emit('job-updated', job);
+
+      // A recovered job that already reached the printer is followed, not re-sent
+      if (!job.printerJobId) {
+        const submission = await this.executePrint(job);
+        job.printerJobId = (submission && submission.printerJobId) || null;
+      }
+      if (job.printerJobId && this.trackPrinterJobs && job.status !== 'cancelled') {
+        await this.trackPrinterJob(job);
+      }
+      if (job.status === 'cancelled') {
+        return; // Cancelled while printing - already moved to history
+      }
+      job.status = 'completed';
+      if (job.pool) {
+        this.pools.markHealthy(job.printerName);
+      }
+      // Move completed job to history
+      this.addToHistory(job);
+      this.removeActiveJob(job, worker);
+      this.persistJobs({ immediate: true });
+      this.emit('job-completed', job);
+    } catch (error) {
+      console.error(`Print job failed on ${worker.getDisplayName()}:`, error);
+      if (job.status === 'cancelled') {
+        return;
+      }
+      // Any retry or failover submits a fresh printer job
+      job.printerJobId = null;
+      job.error = error.message;
+      job.errorCode = error.code || null;
+      job.errorType = PrintError.classify(error);
+
+      // Permanent errors (bad document, missing source) can never succeed - fail now
+      if (job.errorType === 'permanent') {
+        this.failJob(job, worker, error);
+        return;
+      }
+
+      // Pool jobs fail over to another member before spending a retry
+      if (job.pool && this.failoverJob(job, worker)) {
+        return;
+      }
+
+      // The printer went down: wait for it instead of spending a retry
+      if (!job.pool && await this.isPrinterDown(worker.printerName)) {
+        job.status = 'queued';
+        job.nextAttemptAt = null;
+        this.removeActiveJob(job, worker);
+        worker.enqueue(job, true);
+        this.persistJobs();
+        this.emit('job-updated', job);
+        console.log(`Printer ${worker.getDisplayName()} is down, job ${job.id} waits until it is back`);
+        return;
+      }
+
+      // Retry logic: reschedule with backoff instead of holding the worker
+      if (job.retryCount < this.maxRetries) {
+        job.retryCount++;
+        job.status = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(job.retryCount)).toISOString();
+        this.removeActiveJob(job, worker);
+        const retryWorker = this.getJobWorker(job);
+        retryWorker.enqueue(job, true); // Add back to front of the printer's queue
+        this.persistJobs({ immediate: true });
+        this.emit('job-updated', job);
+        console.log(`Job ${job.id} will retry (${job.retryCount}/${this.maxRetries}) at ${job.nextAttemptAt}`);
+
+        if (retryWorker !== worker) {
+          retryWorker.process();
+        }
+      } else {
+        this.failJob(job, worker, error);
+      }
+    }
+  }
+
+  /**
+   * Wait for the printer job behind a submitted print job to finish,
+   * surfacing held/stopped/aborted states on the job as they happen
+   */
+  async trackPrinterJob(job) {
+    this.persistJobs({ immediate: true }); // Keep the printer job id so a restart resumes tracking
+    const backend = this.backends.get(job.backend) || this.getBackend(job.printerName);
+    await backend.track(job.printerJobId, {
+      onState: (state) => {
+        console.log(`Printer job ${job.printerJobId} for ${job.id} is ${state}`);
+        job.printerJobState = state;
+        this.persistJobs();
+        this.emit('job-updated', job);
+      },
+      isCancelled: () => job.status === 'cancelled'
+    });
+  }
+
+  /**
+   * Re-check a printer after a failed print
+   * @returns {Promise<boolean>} True if the monitor now reports the printer down
+   */
+  async isPrinterDown(printerName) {
+    if (!this.printerMonitor.interval) {
+      return false;
+    }
+    await this.printerMonitor.poll();
+    return !this.isPrinterAvailable(printerName);
+  }
+
+  /**
+   * Mark a job as failed and move it to history
+   */
+  failJob(job, worker, error) {
+    job.status = 'failed';
+    job.nextAttemptAt = null;
+    // Move failed job to history
+    this.addToHistory(job);
+    this.removeActiveJob(job, worker);
+    this.persistJobs({ immediate: true });
+    this.emit('job-failed', job, error);
+  }
+
+  /**
+   * Exponential backoff with jitter for the given retry attempt (1-based)
+   */
+  getRetryDelay(attempt) {
+    const base = Math.min(this.retryDelay * Math.pow(2, attempt - 1), this.maxRetryDelay);
+    // +/-20% jitter so jobs failing together do not retry in lockstep
+    const jitter = base * 0.2 * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(base + jitter));
+  }
+
+  /**
+   * Move a failed pool job to a member it has not tried yet
+   * @returns {boolean} True if the job was handed to another member
+   */
+  failoverJob(job, worker) {
+    this.pools.markFailed(worker.printerName);
+    job.triedPrinters = [...new Set([...(job.triedPrinters || []), worker.printerName])];
+
+    const next = this.pools.selectMember(job.pool, {
+      getLoad: (name) => this.getPrinterLoad(name),
+      exclude: job.triedPrinters
+    });
+    if (!next) {
+      // Every member has been tried - start over and let the normal retry logic take it
+      job.triedPrinters = [];
+      return false;
+    }
+
+    console.log(`Failing over job ${job.id} in pool "${job.pool}" from ${worker.printerName} to ${next}`);
+    job.failoverCount = (job.failoverCount || 0) + 1;
+    job.printerName = next;
+    job.status = 'queued';
+    this.removeActiveJob(job, worker);
+    const nextWorker = this.getWorker(next);
+    nextWorker.enqueue(job, true);
+    this.persistJobs({ immediate: true });
+    this.emit('job-updated', job);
+    nextWorker.process();
+    return true;
+  }
+
+  /**
+   * Re-pick the best pool member for a job that is about to be retried
+   * @returns {PrinterWorker} Worker the job should be queued on
+   */
+  reassignPoolJob(job) {
+    const member = this.pools.selectMember(job.pool, { getLoad: (name) => this.getPrinterLoad(name) });
+    if (member) {
+      job.printerName = member;
+    }
+    return this.getWorker(job.printerName);
+  }
+
+  /**
+   * Worker a job should be queued on when it is released or retried
+   * Pool jobs re-pick a member and jobs sent to the default printer follow the current default.
+   */
+  getJobWorker(job) {
+    if (job.pool) {
+      return this.reassignPoolJob(job);
+    }
+    if (job.usesDefaultPrinter) {
+      job.printerName = this.resolvePrinterName(null);
+    }
+    return this.getWorker(job.printerName);
+  }
+
+  /**
+   * Move queued jobs that were sent to the default printer onto the current default
+   * (the system default while the configured one is missing)
+   */
+  retargetDefaultPrinterJobs() {
+    const printerName = this.resolvePrinterName(null);
+    const moved = [];
+    Array.from(this.workers.values()).forEach(worker => {
+      worker.queue
+        .filter(job => job.usesDefaultPrinter && (job.printerName || null) !== printerName)
+        .forEach(job => {
+          worker.remove(job.id);
+          job.printerName = printerName;
+          moved.push(job);
+        });
+    });
+    if (moved.length === 0) {
+      return;
+    }
+
+    const worker = this.getWorker(printerName);
+    moved.forEach(job => {
+      worker.enqueue(job);
+      this.emit('job-updated', job);
+    });
+    console.log(`Moved ${moved.length} queued job(s) to ${worker.getDisplayName()}`);
+    this.persistJobs();
+    worker.process();
+  }
+
+  /**
+   * Drop a finished job from its worker's in-flight list before persisting,
+   * so the store never sees it as both active and in history
+   */
+  removeActiveJob(job, worker) {
+    worker.activeJobs = worker.activeJobs.filter(j => j !== job);
+  }
+
+  /**
+   * Execute the actual print job
+   * @returns {Promise<{printerJobId: string|null}>} What the backend reported for the submitted job
    */
-  getSumatraPath() {
-    if (process.platform !== 'win32') return null;
+  async executePrint(job) {
+    // Print to the printer resolved when the job was queued
+    const jobData = { ...job.data, printerName: job.printerName || undefined };
+    const printer = jobData.printerName || this.getDefaultPrinter();
 
-    // 1) User-configured system installation (preferred)
-    if (this.sumatraPath) {
-      try {
-        if (fs.existsSync(this.sumatraPath)) {
-          return this.sumatraPath;
-        } else {
-          console.warn('Configured SumatraPDF path does not exist:', this.sumatraPath);
-        }
-      } catch {}
+    // Raw printer-language jobs (ZPL/EPL/ESC/POS) and receipts go to the printer without conversion
+    if (jobData.rawData || jobData.receipt) {
+      return this.printRaw(job, jobData);
     }
 
-    // 2) Bundled / fallback locations
-    const candidates = [
-      path.join(process.resourcesPath || '', 'sumatra', 'SumatraPDF.exe'),
-      path.join(__dirname, '..', '..', 'assets', 'windows', 'sumatra', 'SumatraPDF.exe'),
-      path.join(process.cwd(), 'sumatra', 'SumatraPDF.exe')
-    ];
+    // Socket targets speak the printer's own language; they cannot take PDFs
+    if (SocketPrinter.parseTarget(printer) && !this.backends.capturesAllJobs()) {
+      throw PrintError.permanent(`${printer} only accepts raw and receipt jobs`, 'UNSUPPORTED_JOB_TYPE');
+    }
 
-    for (const p of candidates) {
-      try {
-        if (p && fs.existsSync(p)) {
-          return p;
-        }
-      } catch {}
+    // Handle PDF files (priority)
+    if (jobData.pdf || jobData.pdfBase64 || jobData.pdfPath || jobData.pdfUrl) {
+      // Base64 and URL sources are saved to a temp file first
+      await this.loadPDFForPrinting(jobData);
+      // Downloaded PDFs could not be preflighted when the job was queued
+      if (jobData.pdfUrl && jobData._tempPdfPath) {
+        const preflight = await this.pdfPreflight.check(fs.readFileSync(jobData._tempPdfPath));
+        job.pageCount = preflight.pageCount;
+      }
+    } else {
+      // Handle images, templates and HTML content (legacy support) - render to PDF, then print it natively
+      const pdfData = await this.renderJobToPDF(jobData);
+      jobData._tempPdfPath = this.saveTempFile(pdfData, 'pdf');
+      // Orientation is already baked into the rendered pages; asking the printer again would rotate them twice
+      delete jobData.orientation;
+      console.log('Rendered job to PDF:', jobData._tempPdfPath, '(' + pdfData.length + ' bytes)');
     }
 
-    return null;
+    await this.preparePDF(job, jobData);
+    return this.printPDF(job, jobData);
   }
 
   /**
-   * Get all available printers
+   * Whether a job's PDF is rewritten before printing (stamps or layout)
    */
-  async getAvailablePrinters() {
-    // Create a hidden window to access printer list
-    const { BrowserWindow } = require('electron');
-    const tempWindow = new BrowserWindow({ show: false });
-    
-    return new Promise((resolve) => {
-      let resolved = false;
-      
-      const getPrinters = async () => {
-        try {
-          let printers = [];
-          
-          // Check what methods are available
-          console.log('Checking available printer methods...');
-          console.log('getPrintersAsync:', typeof tempWindow.webContents.getPrintersAsync);
-          console.log('getPrinters:', typeof tempWindow.webContents.getPrinters);
-          
-          // Try async method first (Electron 8+)
-          if (typeof tempWindow.webContents.getPrintersAsync === 'function') {
-            console.log('Using getPrintersAsync()');
-            printers = await tempWindow.webContents.getPrintersAsync();
-            console.log('getPrintersAsync returned:', printers?.length || 0, 'printers');
-          }
-          // Try sync method (older Electron versions)
-          else if (typeof tempWindow.webContents.getPrinters === 'function') {
-            console.log('Using getPrinters()');
-            printers = tempWindow.webContents.getPrinters();
-            console.log('getPrinters returned:', printers?.length || 0, 'printers');
-          }
-          // Fallback: use system commands
-          else {
-            console.warn('Electron API not available, using fallback method to detect printers');
-            printers = this.getPrintersFallback();
-          }
-          
-          // If still no printers, try fallback
-          if (!printers || printers.length === 0) {
-            console.log('No printers found via Electron API, trying fallback...');
-            const fallbackPrinters = this.getPrintersFallback();
-            if (fallbackPrinters && fallbackPrinters.length > 0) {
-              printers = fallbackPrinters;
-            }
-          }
-          
-          resolved = true;
-          tempWindow.close();
-          
-          // Normalize printer objects to ensure they have name/displayName
-          const normalizedPrinters = (printers || []).map(printer => {
-            // Handle different printer object structures
-            const name = printer.name || printer.displayName || printer.description || 'Unknown Printer';
-            return {
-              name: name,
-              displayName: printer.displayName || printer.name || name,
-              description: printer.description || printer.name || '',
-              status: printer.status || 0,
-              isDefault: printer.isDefault || false
-            };
-          });
-          
-          console.log(`Found ${normalizedPrinters.length} printer(s):`, normalizedPrinters.map(p => p.name));
-          resolve(normalizedPrinters);
-        } catch (error) {
-          console.error('Error getting printers:', error);
-          resolved = true;
-          tempWindow.close();
-          
-          // Try fallback method
-          try {
-            const fallbackPrinters = this.getPrintersFallback();
-            resolve(fallbackPrinters || []);
-          } catch (fallbackError) {
-            console.error('Fallback method also failed:', fallbackError);
-            resolve([]);
-          }
-        }
-      };
-      
-      tempWindow.webContents.once('did-finish-load', () => {
-        getPrinters();
-      });
-      
-      tempWindow.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
-        console.error('Failed to load window for printer detection:', errorDescription);
-        if (!resolved) {
-          resolved = true;
-          tempWindow.close();
-          // Try fallback
-          try {
-            const fallbackPrinters = this.getPrintersFallback();
-            resolve(fallbackPrinters || []);
-          } catch (error) {
-            resolve([]);
-          }
-        }
-      });
-      
-      // Load a blank page to ensure webContents is ready
-      tempWindow.loadURL('data:text/html,<html><body></body></html>');
-      
-      // Timeout fallback
-      setTimeout(() => {
-        if (!resolved && !tempWindow.isDestroyed()) {
-          console.warn('Printer detection timeout, trying fallback');
-          resolved = true;
-          tempWindow.close();
-          try {
-            const fallbackPrinters = this.getPrintersFallback();
-            resolve(fallbackPrinters || []);
-          } catch (error) {
-            resolve([]);
-          }
-        }
-      }, 5000);
-    });
+  static hasTransforms(jobData) {
+    return (Array.isArray(jobData.stamps) && jobData.stamps.length > 0) || PdfImposer.hasLayout(jobData);
   }
 
   /**
-   * Fallback method to get printers using system commands
+   * Apply the job's stamps, then its layout
+   * Stamps go on the original pages, so page numbers count pages rather than sheets.
+   * @returns {Promise<Buffer>}
    */
-  getPrintersFallback() {
-    const { execSync } = require('child_process');
-    const printers = [];
-    const printerNames = new Set();
-    
+  async transformPDF(job, jobData, pdfData) {
+    if (Array.isArray(jobData.stamps) && jobData.stamps.length > 0) {
+      pdfData = await PdfStamper.apply(pdfData, jobData.stamps, PdfStamper.valuesFor(job));
+    }
+    if (PdfImposer.hasLayout(jobData)) {
+      pdfData = await PdfImposer.apply(pdfData, { nUp: jobData.nUp, booklet: jobData.booklet, scale: jobData.scale });
+    }
+    return pdfData;
+  }
+
+  /**
+   * Rewrite the PDF about to be printed with the job's stamps and layout
+   * The result goes to a temp file; a pdfPath source is never modified.
+   */
+  async preparePDF(job, jobData) {
+    if (!PrintSpooler.hasTransforms(jobData)) {
+      return;
+    }
+
     try {
-      if (process.platform === 'darwin') {
-        // macOS: use lpstat -p to get printer list
-        try {
-          const output = execSync('lpstat -p 2>/dev/null', { encoding: 'utf8', maxBuffer: 1024 * 1024 });
-          const lines = output.split('\n').filter(line => line.trim());
-          
-          lines.forEach(line => {
-            // Parse "printer PrinterName is idle" format
-            const match = line.match(/^printer\s+(\S+)\s+/);
-            if (match && match[1]) {
-              const name = match[1];
-              if (!printerNames.has(name)) {
-                printerNames.add(name);
-                printers.push({
-                  name: name,
-                  displayName: name,
-                  description: '',
-                  status: 0,
-                  isDefault: false
-                });
-              }
-            }
-          });
-        } catch (error) {
-          console.warn('lpstat -p failed, trying lpstat -a:', error.message);
-        }
-        
-        // If no printers found, try lpstat -a (available printers)
-        if (printers.length === 0) {
-          try {
-            const output = execSync('lpstat -a 2>/dev/null', { encoding: 'utf8', maxBuffer: 1024 * 1024 });
-            const lines = output.split('\n').filter(line => line.trim());
-            
-            lines.forEach(line => {
-              // Parse "PrinterName accepting requests" format
-              const match = line.match(/^(\S+)\s+accepting/);
-              if (match && match[1]) {
-                const name = match[1];
-                if (!printerNames.has(name)) {
-                  printerNames.add(name);
-                  printers.push({
-                    name: name,
-                    displayName: name,
-                    description: '',
-                    status: 0,
-                    isDefault: false
-                  });
-                }
-              }
-            });
-          } catch (error) {
-            console.warn('lpstat -a also failed:', error.message);
-          }
-        }
-        
-        // Also try system_profiler for macOS
-        if (printers.length === 0) {
-          try {
-            const output = execSync('system_profiler SPPrintersDataType 2>/dev/null | grep "Printer Name"', { encoding: 'utf8', maxBuffer: 1024 * 1024 });
-            const lines = output.split('\n').filter(line => line.trim());
-            lines.forEach(line => {
-              const match = line.match(/Printer Name:\s*(.+)/);
-              if (match && match[1]) {
-                const name = match[1].trim();
-                if (name && !printerNames.has(name)) {
-                  printerNames.add(name);
-                  printers.push({
-                    name: name,
-                    displayName: name,
-                    description: '',
-                    status: 0,
-                    isDefault: false
-                  });
-                }
-              }
-            });
-          } catch (error) {
-            console.warn('system_profiler failed:', error.message);
-          }
-        }
-      } else if (process.platform === 'win32') {
-        // Windows: use wmic
-        try {
-          const output = execSync('wmic printer get name /value', { encoding: 'utf8' });
-          const lines = output.split('\n').filter(line => line.trim() && line.includes('Name='));
-          lines.forEach(line => {
-            const name = line.replace('Name=', '').trim();
-            if (name) {
-              printers.push({
-                name: name,
-                displayName: name,
-                description: '',
-                status: 0,
-                isDefault: false
-              });
-            }
-          });
-        } catch (error) {
-          console.warn('Windows printer detection failed:', error.message);
-        }
+      const source = fs.readFileSync(jobData._tempPdfPath || jobData.pdfPath);
+      const transformed = await this.transformPDF(job, jobData, source);
+      if (jobData._tempPdfPath) {
+        fs.writeFileSync(jobData._tempPdfPath, transformed);
       } else {
-        // Linux: use lpstat
-        try {
-          const output = execSync('lpstat -p 2>/dev/null || lpstat -a 2>/dev/null', { encoding: 'utf8' });
-          const lines = output.split('\n').filter(line => line.trim());
-          const printerNames = new Set();
-          
-          lines.forEach(line => {
-            const match = line.match(/^printer\s+(\S+)|^(\S+)\s+accepting/);
-            if (match) {
-              const name = match[1] || match[2];
-              if (name && !printerNames.has(name)) {
-                printerNames.add(name);
-                printers.push({
-                  name: name,
-                  displayName: name,
-                  description: '',
-                  status: 0,
-                  isDefault: false
-                });
-              }
-            }
-          });
-        } catch (error) {
-          console.warn('Linux printer detection failed:', error.message);
-        }
+        jobData._tempPdfPath = this.saveTempFile(transformed, 'pdf');
       }
     } catch (error) {
-      console.warn('Fallback printer detection failed:', error.message);
+      // printPDF will not run, so clean up here
+      if (jobData._tempPdfPath) {
+        try { fs.unlinkSync(jobData._tempPdfPath); } catch {}
+      }
+      throw error;
     }
-    
-    return printers;
-  }
 
-  /**
-   * Set the default printer
-   */
-  setDefaultPrinter(printerName) {
-    this.defaultPrinter = printerName;
-    this.configManager.set('defaultPrinter', printerName);
+    if (PdfImposer.hasLayout(jobData)) {
+      // The sheets are already laid out; orientation described the source pages
+      delete jobData.orientation;
+      if (jobData.booklet === true && jobData.duplex === undefined) {
+        // Landscape sheets that are folded in half flip on the short edge
+        jobData.duplex = 'short-edge';
+      }
+    }
   }
 
   /**
-   * Reload SumatraPDF path from config (called when config is updated)
+   * Render an image, template or HTML/URL job to PDF
+   * @returns {Promise<Buffer>} PDF data
    */
-  reloadSumatraPath() {
-    this.sumatraPath = this.configManager.get('sumatraPath', null);
+  async renderJobToPDF(jobData) {
+    if (jobData.template) {
+      Object.assign(jobData, this.renderTemplateJob(jobData));
+    }
+    if (jobData.imageBase64 || jobData.imagePath || jobData.imageUrl) {
+      return this.renderImageToPDF(jobData);
+    }
+    return this.documentRenderer.renderToPDF(jobData);
   }
 
   /**
-   * Add a print job to the queue
+   * Get the PDF a job prints (rendering HTML, image and template jobs)
+   * @returns {Promise<Buffer>}
+   * @throws {PrintError} PREVIEW_UNSUPPORTED for raw jobs, PREVIEW_UNAVAILABLE once the document is gone
    */
-  async addJob(jobData) {
-    const job = {
-      id: this.generateJobId(),
-      timestamp: new Date().toISOString(),
-      status: 'queued',
-      priority: jobData.priority || 'normal',
-      data: jobData,
-      retryCount: 0,
-      error: null
-    };
+  async getJobDocument(job) {
+    const jobData = { ...job.data };
 
-    // Check queue size limit
-    if (this.jobQueue.length >= this.maxQueueSize) {
-      throw new Error('Print queue is full. Please wait for jobs to complete.');
+    if (jobData.rawData || jobData.receipt) {
+      throw PrintError.permanent('Raw and receipt jobs have no page preview', 'PREVIEW_UNSUPPORTED');
     }
 
-    this.jobQueue.push(job);
-    this.emit('job-added', job);
-    
-    // Start processing if not already processing
-    if (!this.isProcessing) {
-      this.processQueue();
+    let pdfData;
+    if (jobData.pdf || jobData.pdfBase64 || jobData.pdfPath) {
+      pdfData = PdfPreflight.readSource(jobData);
+    } else if (jobData.pdfUrl) {
+      await this.loadPDFForPrinting(jobData);
+      try {
+        pdfData = fs.readFileSync(jobData._tempPdfPath);
+      } finally {
+        try { fs.unlinkSync(jobData._tempPdfPath); } catch {}
+      }
+    } else if (jobData.template || jobData.html || jobData.url || jobData.imageBase64 || jobData.imagePath || jobData.imageUrl) {
+      pdfData = await this.renderJobToPDF(jobData);
+    } else {
+      // Inline documents are dropped from history
+      throw PrintError.permanent('The document for this job is no longer available', 'PREVIEW_UNAVAILABLE');
     }
 
-    return job;
+    // Show the page as it will print
+    return PrintSpooler.hasTransforms(jobData) ? this.transformPDF(job, jobData, pdfData) : pdfData;
   }
 
   /**
-   * Process the print queue
+   * Render a page of a job's document to PNG
+   * Renders run one at a time through the renderer's hidden window, and recent previews are cached.
+   * @param {Object} options - { page (1-based), width }
+   * @returns {Promise<{png: Buffer, page: number, pageCount: number}|null>} Null if the job does not exist
    */
-  async processQueue() {
-    if (this.isProcessing || this.jobQueue.length === 0) {
-      return;
+  getJobPreview(jobId, { page = 1, width } = {}) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      return Promise.resolve(null);
     }
 
-    this.isProcessing = true;
-
-    while (this.jobQueue.length > 0) {
-      // Sort by priority: high > normal > low
-      this.jobQueue.sort((a, b) => {
-        const priorityOrder = { high: 3, normal: 2, low: 1 };
-        return priorityOrder[b.priority] - priorityOrder[a.priority];
-      });
-
-      this.currentJob = this.jobQueue.shift();
-      this.currentJob.status = 'processing';
-      this.emit('job-updated', this.currentJob);
+    const key = `${jobId}:${page}:${width || ''}`;
+    if (this.previewCache.has(key)) {
+      return Promise.resolve(this.previewCache.get(key));
+    }
 
-      try {
-        // Update status to "printing" when actually starting to print
-        this.currentJob.status = 'printing';
-        this.emit('job-updated', this.currentJob);
-        
-        await this.executePrint(this.currentJob);
-        this.currentJob.status = 'completed';
-        // Move completed job to history
-        this.jobHistory.push({ ...this.currentJob });
-        this.emit('job-completed', this.currentJob);
-      } catch (error) {
-        console.error('Print job failed:', error);
-        this.currentJob.error = error.message;
-        
-        // Retry logic
-        if (this.currentJob.retryCount < this.maxRetries) {
-          this.currentJob.retryCount++;
-          this.currentJob.status = 'queued';
-          this.jobQueue.unshift(this.currentJob); // Add back to front of queue
-          this.emit('job-updated', this.currentJob);
-          
-          // Wait before retry
-          await this.sleep(this.retryDelay);
-        } else {
-          this.currentJob.status = 'failed';
-          // Move failed job to history
-          this.jobHistory.push({ ...this.currentJob });
-          this.emit('job-failed', this.currentJob, error);
-        }
+    const render = this.previewQueue.then(async () => {
+      const pdfData = await this.getJobDocument(job);
+      const preview = await this.documentRenderer.renderPreview(pdfData, { page, width });
+      this.previewCache.set(key, preview);
+      if (this.previewCache.size > PREVIEW_CACHE_SIZE) {
+        this.previewCache.delete(this.previewCache.keys().next().value);
       }
+      return preview;
+    });
+    // Keep the queue going whether or not this render fails
+    this.previewQueue = render.catch(() => {});
+    return render;
+  }
 
-      this.currentJob = null;
+  /**
+   * Render a template job's data into HTML
+   * Page settings on the job win over the template's own defaults.
+   * @returns {Object} html plus page settings to merge into the job data
+   */
+  renderTemplateJob(jobData) {
+    let rendered;
+    try {
+      rendered = this.templateStore.render(jobData.template, jobData.templateData, jobData.templateVersion);
+    } catch (error) {
+      const code = error.code === 'TEMPLATE_NOT_FOUND' ? error.code : 'TEMPLATE_RENDER_FAILED';
+      throw PrintError.permanent(error.message, code);
     }
 
-    this.isProcessing = false;
+    const { html, template } = rendered;
+    console.log(`Rendered template ${template.name} v${template.version}`);
+    return {
+      html,
+      pageSize: jobData.pageSize || template.pageSize || undefined,
+      orientation: jobData.orientation || template.orientation || undefined,
+      margins: jobData.margins || template.margins || undefined
+    };
   }
 
   /**
-   * Execute the actual print job
+   * Lay an image job's image onto a page and render it to PDF
+   * The image and page go through temp files since large images do not fit in a data URL.
+   * @returns {Promise<Buffer>} PDF data
    */
-  async executePrint(job) {
-    return new Promise(async (resolve, reject) => {
-      const { BrowserWindow } = require('electron');
-      let timeoutHandle = null;
-
-      // Handle PDF files (priority)
-      if (job.data.pdf || job.data.pdfBase64 || job.data.pdfPath || job.data.pdfUrl) {
-        // For PDF files, we need to ensure we have a file path
-        // If we have pdfPath directly, use it; otherwise load/save to get a file path
-        let pdfFilePath = null;
-        
-        if (job.data.pdfPath && fs.existsSync(job.data.pdfPath)) {
-          // Direct file path - use it
-          pdfFilePath = job.data.pdfPath;
-        } else {
-          // Need to load/save PDF to get a file path
-          // This handles pdfBase64, pdf, and pdfUrl
-          try {
-            await this.loadPDFForPrinting(null, job.data); // Pass null - we don't need BrowserWindow
-            pdfFilePath = job.data._tempPdfPath || job.data.pdfPath;
-          } catch (error) {
-            reject(error);
-            return;
-          }
-        }
-        
-        if (!pdfFilePath || !fs.existsSync(pdfFilePath)) {
-          reject(new Error('PDF file path not available or file does not exist'));
-          return;
-        }
-        
-        // Use hidden BrowserWindow with plugins enabled so Chromium PDF viewer renders the PDF
-        const printWindow = new BrowserWindow({
-          show: false,
-          webPreferences: {
-            plugins: true
-          }
-        });
-        this.loadPDFForPrinting(printWindow, job.data)
-          .then(() => {
-            // PDF has its own timeout handler in printPDF, so we don't need one here
-            this.printPDF(printWindow, job.data, resolve, reject);
-          })
-          .catch((error) => {
-            if (timeoutHandle) clearTimeout(timeoutHandle);
-            printWindow.close();
-            reject(error);
-          });
-        return;
-      }
+  async renderImageToPDF(jobData) {
+    const image = await ImageDocument.load(jobData);
+    const imagePath = this.saveTempFile(image.data, image.type === 'png' ? 'png' : 'jpg');
+    let htmlPath;
 
-      // Handle HTML content (legacy support)
-      if (job.data.html) {
-        printWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(job.data.html)}`);
-      } else if (job.data.url) {
-        printWindow.loadURL(job.data.url);
-      } else {
-        printWindow.close();
-        reject(new Error('No print content provided'));
-        return;
-      }
+    try {
+      htmlPath = this.saveTempFile(ImageDocument.toHTML(pathToFileURL(imagePath).href, jobData.imageFit), 'html');
+      return await this.documentRenderer.renderToPDF({
+        htmlPath,
+        pageSize: jobData.pageSize,
+        margins: jobData.margins,
+        orientation: jobData.orientation,
+        printBackground: true
+      });
+    } finally {
+      [imagePath, htmlPath].forEach(filePath => {
+        try { fs.unlinkSync(filePath); } catch {}
+      });
+    }
+  }
 
-      printWindow.webContents.once('did-finish-load', () => {
-        const options = {
-          silent: false,
-          printBackground: job.data.printBackground !== false,
-          deviceName: job.data.printerName || this.defaultPrinter || undefined,
-          pageSize: job.data.pageSize || 'A4',
-          margins: job.data.margins || {
-            marginType: 'default'
-          },
-          copies: job.data.copies || 1
-        };
-
-        printWindow.webContents.on('did-stop-loading', () => {
-          console.log('PDF fully stopped loading');
-        });
+  /**
+   * Send a raw job's data (or a receipt rendered to ESC/POS) to the printer unchanged
+   */
+  async printRaw(job, jobData) {
+    const format = jobData.receipt ? 'escpos' : (jobData.rawFormat || 'raw');
+    const data = jobData.receipt ? ReceiptRenderer.render(jobData.receipt) : RawPrinter.toBuffer(jobData);
+    const printer = jobData.printerName || this.getDefaultPrinter();
+    const copies = PrintOptions.normalize(jobData).copies;
 
-        printWindow.webContents.print(options, (success, failureReason) => {
-          printWindow.close();
-          if (timeoutHandle) {
-            clearTimeout(timeoutHandle);
-            timeoutHandle = null;
-          }
-          
-          if (success) {
-            resolve();
-          } else {
-            reject(new Error(failureReason || 'Print failed'));
-          }
-        });
-      });
+    if (SocketPrinter.parseTarget(printer) && !this.backends.capturesAllJobs()) {
+      job.backend = 'socket';
+      return this.socketPrinter.print(printer, data, { copies });
+    }
 
-      printWindow.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
-        if (timeoutHandle) clearTimeout(timeoutHandle);
-        printWindow.close();
-        reject(new Error(`Failed to load content: ${errorDescription}`));
-      });
+    const backend = this.getBackend(printer);
+    job.backend = backend.name;
+    const filePath = this.saveTempFile(data, format);
+    console.log(`Sending ${data.length} bytes of ${format.toUpperCase()} to ${printer || 'default printer'} (${backend.name})`);
 
-      // Timeout after 30 seconds (only for HTML/URL content, not PDFs)
-      timeoutHandle = setTimeout(() => {
-        if (!printWindow.isDestroyed()) {
-          printWindow.close();
-          reject(new Error('Print job timeout'));
-        }
-      }, 30000);
-    });
+    try {
+      return await backend.submitRaw(filePath, printer || null, { copies, docName: job.id, format });
+    } finally {
+      try { fs.unlinkSync(filePath); } catch {}
+    }
+  }
+
+  /**
+   * Write print data to a temp file
+   * @returns {string} Path of the temp file
+   */
+  saveTempFile(data, extension) {
+    const tempFileName = `print_job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${extension}`;
+    const filePath = path.join(app.getPath('temp'), tempFileName);
+    fs.writeFileSync(filePath, data, { encoding: null, flag: 'w' });
+    return filePath;
   }
 
   /**
-   * Load PDF for printing
+   * Make sure a PDF job's document is in a local file
+   * Base64 and URL sources are saved to a temp file recorded as jobData._tempPdfPath.
    */
-  async loadPDFForPrinting(printWindow, jobData) {
+  async loadPDFForPrinting(jobData) {
     return new Promise((resolve, reject) => {
       // Determine PDF source
       let pdfPath = null;
       let pdfData = null;
 
       if (jobData.pdfPath) {
-        // Local file path
-        if (fs.existsSync(jobData.pdfPath)) {
-          pdfPath = jobData.pdfPath;
-        } else {
-          reject(new Error(`PDF file not found: ${jobData.pdfPath}`));
+        // Local file path - printed in place
+        if (!fs.existsSync(jobData.pdfPath)) {
+          reject(PrintError.permanent(`PDF file not found: ${jobData.pdfPath}`, 'PDF_NOT_FOUND'));
           return;
         }
       } else if (jobData.pdfBase64 || jobData.pdf) {
@@ -587,7 +1265,7 @@ class PrintSpooler extends EventEmitter {
           jobData._tempPdfPath = pdfPath;
           console.log('PDF saved successfully:', pdfPath, '(' + pdfData.length + ' bytes)');
         } catch (error) {
-          reject(new Error(`Failed to process PDF data: ${error.message}`));
+          reject(PrintError.permanent(`Failed to process PDF data: ${error.message}`, 'PDF_INVALID'));
           return;
         }
       } else if (jobData.pdfUrl) {
@@ -603,7 +1281,10 @@ class PrintSpooler extends EventEmitter {
         const req = client.get(jobData.pdfUrl, (response) => {
           if (response.statusCode !== 200) {
             if (downloadTimeout) clearTimeout(downloadTimeout);
-            reject(new Error(`Failed to download PDF: HTTP ${response.statusCode}`));
+            // 4xx (other than timeout / rate limit) means the URL itself is wrong
+            const status = response.statusCode;
+            const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+            reject(new PrintError(`Failed to download PDF: HTTP ${status}`, { code: 'DOWNLOAD_FAILED', permanent }));
             return;
           }
           
@@ -647,159 +1328,189 @@ class PrintSpooler extends EventEmitter {
         
         req.on('error', (error) => {
           if (downloadTimeout) clearTimeout(downloadTimeout);
-          reject(new Error(`Failed to download PDF: ${error.message}`));
+          reject(PrintError.transient(`Failed to download PDF: ${error.message}`, 'DOWNLOAD_FAILED'));
         });
         
         // Set timeout for download (30 seconds)
         downloadTimeout = setTimeout(() => {
           req.destroy();
-          reject(new Error('PDF download timeout - download took too long'));
+          reject(PrintError.transient('PDF download timeout - download took too long', 'DOWNLOAD_TIMEOUT'));
         }, 30000);
         
         return;
       } else {
-        reject(new Error('No valid PDF source provided'));
+        reject(PrintError.permanent('No valid PDF source provided', 'NO_SOURCE'));
         return;
       }
 
-      // Load PDF file (only if printWindow is provided)
-      if (pdfPath) {
-        // If no printWindow provided, we're just getting the file path - resolve immediately
-        if (!printWindow) {
-          resolve();
-          return;
-        }
-        
-        // Use file:// protocol to load PDF into BrowserWindow
-        const fileUrl = `file://${pdfPath}`;
-        let loadTimeout = null;
-        
-        printWindow.loadURL(fileUrl);
-        
-        printWindow.webContents.once('dom-ready', () => {
-          // Chromium PDF viewer needs extra time to fully render
-          setTimeout(() => {
-            if (loadTimeout) clearTimeout(loadTimeout);
-            resolve();
-          }, 1500);
-        });
-        
-        printWindow.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
-          if (loadTimeout) clearTimeout(loadTimeout);
-          reject(new Error(`Failed to load PDF: ${errorDescription}`));
-        });
-        
-        // Timeout for loading PDF (20 seconds should be enough)
-        loadTimeout = setTimeout(() => {
-          reject(new Error('PDF load timeout - PDF took too long to load'));
-        }, 20000);
-      }
+      resolve();
     });
   }
 
   /**
-   * Print PDF
+   * Print a job's PDF through the backend for its printer
+   * @returns {Promise<{printerJobId: string|null}>}
    */
-  printPDF(printWindow, jobData, resolve, reject) {
-    const { exec } = require('child_process');
-
+  async printPDF(job, jobData) {
     const pdfPath = jobData._tempPdfPath || jobData.pdfPath;
 
-    if (!pdfPath || !fs.existsSync(pdfPath)) {
-      if (!printWindow.isDestroyed()) {
-        printWindow.close();
+    try {
+      if (!pdfPath || !fs.existsSync(pdfPath)) {
+        throw PrintError.permanent('PDF file not found for printing', 'PDF_NOT_FOUND');
+      }
+
+      const printer = jobData.printerName || this.getDefaultPrinter();
+      const backend = this.getBackend(printer);
+      job.backend = backend.name;
+      return await backend.submit(pdfPath, printer || null, {
+        options: PrintOptions.normalize(jobData),
+        docName: job.id
+      });
+    } finally {
+      // Cleanup temp file
+      if (jobData._tempPdfPath && fs.existsSync(jobData._tempPdfPath)) {
+        try { fs.unlinkSync(jobData._tempPdfPath); } catch {}
       }
-      reject(new Error('PDF file not found for printing'));
-      return;
     }
+  }
+
+  /**
+   * Get the current job queue
+   */
+  getJobQueue() {
+    const queue = [];
+    this.workers.forEach(worker => {
+      queue.push(...worker.getJobs());
+    });
+    queue.push(...this.scheduler.getJobs());
+    return queue;
+  }
 
-    const platform = process.platform;
-    let command = '';
+  /**
+   * Number of jobs waiting across all printer workers (excludes in-flight jobs)
+   */
+  getQueuedJobCount() {
+    let count = 0;
+    this.workers.forEach(worker => {
+      count += worker.queue.length;
+    });
+    return count;
+  }
 
-    try {
-      if (platform === 'darwin' || platform === 'linux') {
-        // macOS / Linux → CUPS (lp)
-        const printer = jobData.printerName || this.defaultPrinter;
-        const copies = jobData.copies || 1;
-
-        command = printer
-          ? `lp -d "${printer}" -n ${copies} "${pdfPath}"`
-          : `lp -n ${copies} "${pdfPath}"`;
-      }
-      else if (platform === 'win32') {
-        // Windows → Prefer SumatraPDF (if bundled), fallback to Edge kiosk
-
-        const escapedPath = pdfPath.replace(/'/g, "''");
-        const sumatra = this.getSumatraPath();
-
-        if (sumatra) {
-          console.log('Using SumatraPDF for printing:', sumatra);
-
-          const printer = jobData.printerName || this.defaultPrinter;
-
-          command = printer
-            ? `"${sumatra}" -silent -print-to "${printer}" -print-settings "fit,center,paper=auto,bin=auto" "${pdfPath}"`
-            : `"${sumatra}" -silent -print-to-default -print-settings "fit,center,paper=auto,bin=auto" "${pdfPath}"`;
-        } else {
-          console.warn('SumatraPDF not found, falling back to Edge kiosk printing');
-
-          command =
-            `powershell -NoProfile -ExecutionPolicy Bypass -Command ` +
-            `"try { ` +
-              `Start-Process -FilePath '${escapedPath}' -Verb Print -WindowStyle Hidden -ErrorAction Stop; ` +
-            `} catch { ` +
-              `$p = Start-Process 'msedge.exe' ` +
-                `-ArgumentList '--kiosk-printing','--print-to-default-printer','${escapedPath}' ` +
-                `-WindowStyle Hidden -PassThru; ` +
-              `Start-Sleep -Seconds 5; ` +
-              `if ($p -and !$p.HasExited) { $p.CloseMainWindow() | Out-Null; Start-Sleep -Seconds 1; if (!$p.HasExited) { Stop-Process -Id $p.Id -Force } } ` +
-            `}"`;
-        }
-      }
-      else {
-        throw new Error(`Unsupported platform: ${platform}`);
-      }
+  /**
+   * Find a job by ID in the active queue or history
+   */
+  getJob(jobId) {
+    return this.getJobQueue().find(j => j.id === jobId) ||
+           this.jobHistory.find(j => j.id === jobId) ||
+           null;
+  }
 
-      console.log('Executing native print command:', command);
+  /**
+   * Find a job submitted with the given idempotency key within the idempotency window
+   * Covers queued, scheduled, in-flight and historical jobs.
+   */
+  findJobByIdempotencyKey(key) {
+    if (!key) {
+      return null;
+    }
+    const cutoff = Date.now() - this.idempotencyWindow;
+    return this.getAllJobs().find(job =>
+      job.idempotencyKey === key && new Date(job.timestamp).getTime() >= cutoff) || null;
+  }
 
-      exec(command, { timeout: 30000 }, (error, stdout, stderr) => {
-        if (error) {
-          console.error('Native print failed:', stderr || error.message);
-          if (!printWindow.isDestroyed()) {
-            printWindow.close();
-          }
-          reject(new Error(stderr || error.message));
-          return;
-        }
+  /**
+   * Whether a job or batch with this idempotency key exists or is being submitted
+   */
+  isDuplicateSubmission(key, { batch = false } = {}) {
+    if (!key) {
+      return false;
+    }
+    return batch
+      ? !!this.findBatchByIdempotencyKey(key) || this.pendingBatches.has(key)
+      : !!this.findJobByIdempotencyKey(key) || this.pendingJobs.has(key);
+  }
 
-        // Cleanup temp file
-        if (jobData._tempPdfPath && fs.existsSync(jobData._tempPdfPath)) {
-          try { fs.unlinkSync(jobData._tempPdfPath); } catch {}
-        }
+  /**
+   * Find the batch submitted with the given idempotency key within the idempotency window
+   * @returns {string|null} Batch ID
+   */
+  findBatchByIdempotencyKey(key) {
+    if (!key) {
+      return null;
+    }
+    const job = this.findJobByIdempotencyKey(`${key}:0`);
+    return (job && job.batchId) || null;
+  }
 
-        if (!printWindow.isDestroyed()) {
-          printWindow.close();
-        }
+  /**
+   * Get a batch's jobs in print order
+   */
+  getBatchJobs(batchId) {
+    return this.getAllJobs()
+      .filter(job => job.batchId === batchId)
+      .sort((a, b) => a.batchIndex - b.batchIndex);
+  }
 
-        resolve();
-      });
-    } catch (err) {
-      if (!printWindow.isDestroyed()) {
-        printWindow.close();
-      }
-      reject(err);
+  /**
+   * Get a batch with its status aggregated across its jobs
+   * @returns {Object|null}
+   */
+  getBatch(batchId) {
+    const jobs = this.getBatchJobs(batchId);
+    if (jobs.length === 0) {
+      return null;
+    }
+
+    const counts = {};
+    jobs.forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    const count = (...statuses) => statuses.reduce((sum, status) => sum + (counts[status] || 0), 0);
+
+    let status;
+    if (count('processing', 'printing') > 0 || (count('queued') > 0 && count('completed') > 0)) {
+      status = 'printing';
+    } else if (count('queued') > 0) {
+      status = 'queued';
+    } else if (count('held') > 0) {
+      status = 'held';
+    } else if (count('scheduled') > 0) {
+      status = 'scheduled';
+    } else if (count('completed') === jobs.length) {
+      status = 'completed';
+    } else if (count('completed') > 0) {
+      status = 'partial'; // Some documents printed, others failed or were cancelled
+    } else {
+      status = count('failed') > 0 ? 'failed' : 'cancelled';
     }
+
+    return {
+      id: batchId,
+      status,
+      printerName: jobs[0].printerName,
+      timestamp: jobs[0].timestamp,
+      total: jobs.length,
+      counts,
+      jobs
+    };
   }
 
   /**
-   * Get the current job queue
+   * Cancel every document of a batch that has not finished yet
+   * @returns {number} Number of documents cancelled
    */
-  getJobQueue() {
-    const queue = [...this.jobQueue];
-    if (this.currentJob) {
-      queue.unshift(this.currentJob);
+  async cancelBatch(batchId) {
+    const pending = this.getBatchJobs(batchId)
+      .filter(job => !['completed', 'failed', 'cancelled'].includes(job.status));
+
+    let cancelled = 0;
+    for (const job of pending) {
+      if (await this.cancelJob(job.id)) {
+        cancelled++;
+      }
     }
-    return queue;
+    return cancelled;
   }
 
   /**
@@ -830,25 +1541,38 @@ class PrintSpooler extends EventEmitter {
    * Cancel a job
    */
   async cancelJob(jobId) {
-    const jobIndex = this.jobQueue.findIndex(j => j.id === jobId);
-    if (jobIndex !== -1) {
-      const job = this.jobQueue.splice(jobIndex, 1)[0];
-      job.status = 'cancelled';
-      // Move cancelled job to history
-      this.jobHistory.push({ ...job });
-      this.emit('job-updated', job);
+    const deferredJob = this.scheduler.remove(jobId);
+    if (deferredJob) {
+      deferredJob.status = 'cancelled';
+      this.addToHistory(deferredJob);
+      this.persistJobs({ immediate: true });
+      this.emit('job-updated', deferredJob);
       return true;
     }
-    
-    if (this.currentJob && this.currentJob.id === jobId) {
-      this.currentJob.status = 'cancelled';
-      // Move cancelled job to history
-      this.jobHistory.push({ ...this.currentJob });
-      this.emit('job-updated', this.currentJob);
-      this.currentJob = null;
-      // Continue processing queue
-      setImmediate(() => this.processQueue());
-      return true;
+
+    for (const worker of this.workers.values()) {
+      const queuedJob = worker.remove(jobId);
+      if (queuedJob) {
+        queuedJob.status = 'cancelled';
+        // Move cancelled job to history
+        this.addToHistory(queuedJob);
+        this.persistJobs({ immediate: true });
+        this.emit('job-updated', queuedJob);
+        return true;
+      }
+
+      const activeJob = worker.activeJobs.find(j => j.id === jobId);
+      if (activeJob) {
+        activeJob.status = 'cancelled';
+        // Move cancelled job to history
+        this.addToHistory(activeJob);
+        this.removeActiveJob(activeJob, worker);
+        this.persistJobs({ immediate: true });
+        this.emit('job-updated', activeJob);
+        // Continue processing this printer's queue
+        setImmediate(() => worker.process());
+        return true;
+      }
     }
     
     return false;
@@ -860,21 +1584,23 @@ class PrintSpooler extends EventEmitter {
   async retryJob(jobId) {
     // This would need to track completed/failed jobs separately
     // For now, we'll just reset retry count if job is still in queue
-    const job = this.jobQueue.find(j => j.id === jobId) || 
-                (this.currentJob && this.currentJob.id === jobId ? this.currentJob : null);
+    const job = this.getJobQueue().find(j => j.id === jobId);
     
     if (job && job.status === 'failed') {
       job.status = 'queued';
       job.retryCount = 0;
       job.error = null;
-      if (!this.jobQueue.includes(job)) {
-        this.jobQueue.push(job);
+      job.errorCode = null;
+      job.errorType = null;
+      job.nextAttemptAt = null;
+      const worker = this.getJobWorker(job);
+      if (!worker.getJobs().includes(job)) {
+        worker.enqueue(job);
       }
+      this.persistJobs({ immediate: true });
       this.emit('job-updated', job);
       
-      if (!this.isProcessing) {
-        this.processQueue();
-      }
+      worker.process();
       return true;
     }
     
@@ -888,6 +1614,7 @@ class PrintSpooler extends EventEmitter {
     const initialLength = this.jobHistory.length;
     // Remove completed jobs from history (keep failed/cancelled for reference)
     this.jobHistory = this.jobHistory.filter(job => job.status !== 'completed');
+    this.persistJobs();
     return initialLength - this.jobHistory.length;
   }
 
@@ -895,15 +1622,35 @@ class PrintSpooler extends EventEmitter {
    * Get spooler status
    */
   getStatus() {
+    const workers = Array.from(this.workers.values());
+    const activeJobs = this.getJobQueue().filter(job => job.status === 'processing' || job.status === 'printing');
+
     return {
-      isProcessing: this.isProcessing,
-      queueLength: this.jobQueue.length,
+      isProcessing: workers.some(worker => worker.isProcessing),
+      paused: this.paused,
+      pausedPrinters: Array.from(this.pausedPrinters),
+      queueLength: this.getQueuedJobCount(),
       maxQueueSize: this.maxQueueSize,
-      currentJob: this.currentJob ? {
-        id: this.currentJob.id,
-        status: this.currentJob.status
+      scheduledCount: this.scheduler.getJobs().filter(job => job.status === 'scheduled').length,
+      heldCount: this.scheduler.getJobs().filter(job => job.status === 'held').length,
+      // First in-flight job, kept for clients that only show one
+      currentJob: activeJobs.length > 0 ? {
+        id: activeJobs[0].id,
+        status: activeJobs[0].status
       } : null,
-      defaultPrinter: this.defaultPrinter
+      activeJobs: activeJobs.map(job => ({
+        id: job.id,
+        status: job.status,
+        printerName: job.printerName,
+        pool: job.pool || null
+      })),
+      workers: workers.map(worker => worker.getStatus()),
+      pools: this.pools.getStatus((name) => this.getPrinterLoad(name)),
+      roles: this.roles.getStatus((name) => this.isTargetAvailable(name)),
+      defaultPrinter: this.defaultPrinter,
+      defaultPrinterMissing: this.defaultPrinterMissing,
+      backend: this.backends.getStatus(),
+      printerHealth: this.printerMonitor.getStatus()
     };
   }
 
@@ -914,6 +1661,13 @@ class PrintSpooler extends EventEmitter {
     return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Generate a unique batch ID
+   */
+  generateBatchId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Sleep utility
    */
@@ -925,10 +1679,13 @@ class PrintSpooler extends EventEmitter {
    * Shutdown the spooler
    */
   shutdown() {
-    this.isProcessing = false;
-    // Wait for current job to complete or timeout
+    this.scheduler.stop();
+    this.workers.forEach(worker => worker.stop());
+    this.documentRenderer.closeRenderWindow();
+    this.persistJobs({ immediate: true });
+    // Wait for in-flight jobs to complete or timeout
     return new Promise((resolve) => {
-      if (!this.currentJob) {
+      if (!this.getStatus().isProcessing) {
         resolve();
       } else {
         setTimeout(() => {
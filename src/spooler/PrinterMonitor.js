@@ -0,0 +1,174 @@
+const { EventEmitter } = require('events');
+
+// printer-state-reasons that stop a printer whatever their severity suffix says
+const BLOCKING_REASONS = [
+  'offline', 'paused', 'shutdown', 'media-empty', 'media-jam', 'door-open', 'cover-open',
+  'toner-empty', 'marker-supply-empty', 'output-area-full'
+];
+
+/**
+ * PrinterMonitor - Polls printer states and keeps a health record per printer
+ * A printer is down while it is stopped or offline, refuses jobs, or reports a
+ * blocking reason (out of paper, jammed, door open, ...). Printers the backends
+ * do not report are treated as available, since nothing is known against them.
+ * Emits 'printer-status' (health) whenever a printer's health changes.
+ */
+class PrinterMonitor extends EventEmitter {
+  /**
+   * @param {BackendManager} backends
+   * @param {Object} options
+   * @param {number} options.interval - Poll interval in ms (0 = do not monitor)
+   */
+  constructor(backends, options = {}) {
+    super();
+    this.backends = backends;
+    this.interval = options.interval === undefined ? 15000 : options.interval;
+    this.health = new Map(); // printerName -> health
+    this.defaultPrinterName = null;
+    this.timer = null;
+    this.pollPromise = null;
+  }
+
+  /**
+   * Whether a printer-state-reason keeps the printer from printing
+   * "-error" reasons always do, "-warning" reasons (e.g. toner low) never do.
+   */
+  static isBlocking(reason) {
+    if (/-error$/.test(reason)) {
+      return true;
+    }
+    if (/-warning$/.test(reason)) {
+      return false;
+    }
+    return BLOCKING_REASONS.includes(reason.replace(/-report$/, ''));
+  }
+
+  /**
+   * Build a health record from a backend's printer state
+   */
+  static toHealth(printerState, previous = null) {
+    const blockingReasons = printerState.reasons.filter(PrinterMonitor.isBlocking);
+    const available = !['stopped', 'offline'].includes(printerState.state) &&
+      printerState.accepting !== false && blockingReasons.length === 0;
+    const now = new Date().toISOString();
+
+    return {
+      name: printerState.name,
+      state: printerState.state,
+      available,
+      reasons: printerState.reasons,
+      message: printerState.message,
+      accepting: printerState.accepting,
+      // When the printer last went up or down
+      since: previous && previous.available === available ? previous.since : now,
+      checkedAt: now
+    };
+  }
+
+  static hasChanged(previous, next) {
+    return previous.state !== next.state ||
+      previous.available !== next.available ||
+      previous.accepting !== next.accepting ||
+      previous.message !== next.message ||
+      previous.reasons.join(' ') !== next.reasons.join(' ');
+  }
+
+  start() {
+    if (!this.interval || this.timer) {
+      return;
+    }
+    console.log(`Monitoring printer health every ${this.interval}ms`);
+    this.poll();
+    this.timer = setInterval(() => this.poll(), this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Read every printer's state now
+   * Calls made while a poll is running share its result.
+   */
+  poll() {
+    if (!this.pollPromise) {
+      this.pollPromise = this.refresh()
+        .catch(error => console.error('Printer health check failed:', error))
+        .finally(() => {
+          this.pollPromise = null;
+        });
+    }
+    return this.pollPromise;
+  }
+
+  async refresh() {
+    const states = await this.backends.getPrinterStates();
+    const seen = new Set();
+
+    states.forEach(printerState => {
+      seen.add(printerState.name);
+      if (printerState.isDefault) {
+        this.defaultPrinterName = printerState.name;
+      }
+
+      const previous = this.health.get(printerState.name) || null;
+      const health = PrinterMonitor.toHealth(printerState, previous);
+      this.health.set(printerState.name, health);
+
+      if (!previous || PrinterMonitor.hasChanged(previous, health)) {
+        if (!health.available) {
+          console.warn(`Printer ${health.name} is down (${PrinterMonitor.describe(health)})`);
+        } else if (previous && !previous.available) {
+          console.log(`Printer ${health.name} is available again`);
+        }
+        this.emit('printer-status', health);
+      }
+    });
+
+    // A printer that is no longer reported (removed, or its backend failed) is unknown, not down
+    Array.from(this.health.keys()).filter(name => !seen.has(name)).forEach(name => {
+      this.health.delete(name);
+      this.emit('printer-status', PrinterMonitor.toHealth({ name, state: 'unknown', reasons: [], message: '', accepting: null }));
+    });
+  }
+
+  /**
+   * Short human-readable reason a printer is down
+   */
+  static describe(health) {
+    const parts = [health.state];
+    if (health.accepting === false) {
+      parts.push('not accepting jobs');
+    }
+    parts.push(...health.reasons.filter(PrinterMonitor.isBlocking));
+    if (health.message) {
+      parts.push(health.message);
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * @param {string|null} printerName - null for the system default printer
+   * @returns {Object|null} Health record, or null if the printer's state is unknown
+   */
+  getHealth(printerName) {
+    return this.health.get(printerName || this.defaultPrinterName) || null;
+  }
+
+  /**
+   * Whether jobs can be sent to a printer (unknown printers count as available)
+   */
+  isAvailable(printerName) {
+    const health = this.getHealth(printerName);
+    return !health || health.available;
+  }
+
+  getStatus() {
+    return Array.from(this.health.values());
+  }
+}
+
+module.exports = PrinterMonitor;
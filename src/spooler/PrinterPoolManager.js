@@ -0,0 +1,103 @@
+/**
+ * PrinterPoolManager - Named groups of interchangeable printers
+ * Pools are configured as `printerPools: { "registration-desk": ["HP_1", "HP_2"] }`.
+ * Members that fail a print are marked unhealthy for a cooldown period, and members
+ * the printer monitor reports down are unhealthy until they are back, so dispatch
+ * and failover skip them.
+ */
+class PrinterPoolManager {
+  constructor(configManager, options = {}) {
+    this.configManager = configManager;
+    this.failureCooldown = options.failureCooldown || 60000;
+    this.isAvailable = options.isAvailable || (() => true);
+    this.failures = new Map(); // printerName -> timestamp of last failure
+  }
+
+  /**
+   * Get configured pools
+   * @returns {Object} Map of pool name to member printer names
+   */
+  getPools() {
+    const pools = this.configManager.get('printerPools', {}) || {};
+    return typeof pools === 'object' ? pools : {};
+  }
+
+  /**
+   * Check whether a printer name refers to a pool
+   */
+  isPool(name) {
+    return !!name && Object.prototype.hasOwnProperty.call(this.getPools(), name);
+  }
+
+  /**
+   * Get the member printers of a pool
+   */
+  getMembers(poolName) {
+    const members = this.getPools()[poolName];
+    return Array.isArray(members) ? members.filter(Boolean) : [];
+  }
+
+  /**
+   * Record a failed print on a member
+   */
+  markFailed(printerName) {
+    this.failures.set(printerName, Date.now());
+  }
+
+  /**
+   * Record a successful print on a member
+   */
+  markHealthy(printerName) {
+    this.failures.delete(printerName);
+  }
+
+  /**
+   * A member is healthy unless it is down or failed within the cooldown period
+   */
+  isHealthy(printerName) {
+    const failedAt = this.failures.get(printerName);
+    return this.isAvailable(printerName) && (!failedAt || Date.now() - failedAt >= this.failureCooldown);
+  }
+
+  /**
+   * Pick the least-busy healthy member of a pool
+   * Falls back to unhealthy members (least recently failed first) when none are healthy.
+   * @param {string} poolName
+   * @param {Object} options
+   * @param {Function} options.getLoad - (printerName) => number of queued + in-flight jobs
+   * @param {Array<string>} options.exclude - Members already tried for this job
+   * @returns {string|null} Printer name, or null when every member is excluded
+   */
+  selectMember(poolName, { getLoad, exclude = [] } = {}) {
+    const candidates = this.getMembers(poolName).filter(name => !exclude.includes(name));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const load = (name) => (getLoad ? getLoad(name) : 0);
+    const healthy = candidates.filter(name => this.isHealthy(name));
+
+    if (healthy.length > 0) {
+      return healthy.reduce((best, name) => (load(name) < load(best) ? name : best));
+    }
+
+    return candidates.reduce((best, name) =>
+      (this.failures.get(name) < this.failures.get(best) ? name : best));
+  }
+
+  /**
+   * Get pool status for reporting
+   */
+  getStatus(getLoad) {
+    return Object.keys(this.getPools()).map(poolName => ({
+      name: poolName,
+      members: this.getMembers(poolName).map(name => ({
+        name,
+        healthy: this.isHealthy(name),
+        load: getLoad ? getLoad(name) : 0
+      }))
+    }));
+  }
+}
+
+module.exports = PrinterPoolManager;
@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+
+/**
+ * PrinterRegistry - Cached list of the printers the backends can print to
+ * Discovery opens a hidden window and runs lpstat / wmic, so it happens once at
+ * start and then in the background; callers are served from the cache.
+ * Emits 'printer-added' (printer) and 'printer-removed' (printer) when printers are
+ * plugged in or removed, and 'printers-changed' (printers) after any change,
+ * including the first discovery.
+ */
+class PrinterRegistry extends EventEmitter {
+  /**
+   * @param {BackendManager} backends
+   * @param {Object} options
+   * @param {number} options.interval - Background refresh interval in ms (0 = discover once)
+   */
+  constructor(backends, options = {}) {
+    super();
+    this.backends = backends;
+    this.interval = options.interval === undefined ? 30000 : options.interval;
+    this.printers = new Map(); // printerName -> printer info
+    this.loaded = false;
+    this.timer = null;
+    this.refreshPromise = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.refresh();
+    if (this.interval) {
+      this.timer = setInterval(() => this.refresh(), this.interval);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Discover printers now
+   * Calls made while a refresh is running share its result.
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.discover()
+        .catch(error => console.error('Printer discovery failed:', error))
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  async discover() {
+    const printers = await this.backends.listPrinters();
+    const current = new Map(printers.map(printer => [printer.name, printer]));
+    const firstDiscovery = !this.loaded;
+
+    const added = printers.filter(printer => !this.printers.has(printer.name));
+    const removed = Array.from(this.printers.values()).filter(printer => !current.has(printer.name));
+    this.printers = current;
+    this.loaded = true;
+
+    // The first discovery is the starting list, not printers being plugged in
+    if (firstDiscovery) {
+      console.log(`Found ${printers.length} printer(s):`, printers.map(printer => printer.name));
+    } else {
+      added.forEach(printer => {
+        console.log(`Printer added: ${printer.name}`);
+        this.emit('printer-added', printer);
+      });
+      removed.forEach(printer => {
+        console.warn(`Printer removed: ${printer.name}`);
+        this.emit('printer-removed', printer);
+      });
+    }
+    if (firstDiscovery || added.length > 0 || removed.length > 0) {
+      this.emit('printers-changed', this.getCachedPrinters());
+    }
+  }
+
+  /**
+   * Get the cached printers, discovering them first if that has not happened yet
+   * @param {Object} options
+   * @param {boolean} options.refresh - Discover again before answering
+   */
+  async getPrinters({ refresh = false } = {}) {
+    if (refresh || !this.loaded) {
+      await this.refresh();
+    }
+    return this.getCachedPrinters();
+  }
+
+  getCachedPrinters() {
+    return Array.from(this.printers.values());
+  }
+
+  /**
+   * Whether the last discovery found a printer
+   */
+  has(printerName) {
+    return this.printers.has(printerName);
+  }
+}
+
+module.exports = PrinterRegistry;
@@ -0,0 +1,73 @@
+// Role names end up in config and in server requests, so only allow plain names
+const ROLE_PATTERN = /^[A-Za-z0-9._ -]{1,64}$/;
+
+/**
+ * PrinterRoleManager - Logical printer roles mapped to this venue's printers
+ * Roles are configured as `printerRoles: { scoresheets: "HP_LaserJet_Pro", badges: "Zebra_ZD420" }`,
+ * so the server can ask for "badges" without knowing what the printers are called
+ * here. A role can point at a printer or at a printer pool.
+ */
+class PrinterRoleManager {
+  constructor(configManager) {
+    this.configManager = configManager;
+  }
+
+  static isValidRole(role) {
+    return typeof role === 'string' && ROLE_PATTERN.test(role);
+  }
+
+  /**
+   * Get configured roles (roles without a printer are left out)
+   * @returns {Object} Map of role name to printer or pool name
+   */
+  getRoles() {
+    const roles = this.configManager.get('printerRoles', {}) || {};
+    if (typeof roles !== 'object') {
+      return {};
+    }
+    return Object.fromEntries(Object.entries(roles).filter(([, printerName]) => typeof printerName === 'string' && printerName));
+  }
+
+  /**
+   * Printer or pool a role is mapped to
+   * @returns {string|null} Null when the role is not mapped
+   */
+  getPrinter(role) {
+    if (!role) {
+      return null;
+    }
+    const roles = this.getRoles();
+    return Object.prototype.hasOwnProperty.call(roles, role) ? roles[role] : null;
+  }
+
+  /**
+   * Map a role to a printer or pool; an empty printer name removes the role
+   */
+  setRole(role, printerName) {
+    if (!PrinterRoleManager.isValidRole(role)) {
+      throw new Error('Role names may only use letters, numbers, spaces, dots, dashes and underscores (max 64)');
+    }
+    const roles = { ...this.getRoles() };
+    if (printerName) {
+      roles[role] = printerName;
+    } else {
+      delete roles[role];
+    }
+    this.configManager.set('printerRoles', roles);
+    return roles;
+  }
+
+  /**
+   * Get role status for reporting
+   * @param {Function} isAvailable - (printerName) => whether the role's printer can print now
+   */
+  getStatus(isAvailable) {
+    return Object.entries(this.getRoles()).map(([role, printerName]) => ({
+      role,
+      printerName,
+      available: isAvailable ? isAvailable(printerName) : true
+    }));
+  }
+}
+
+module.exports = PrinterRoleManager;
@@ -0,0 +1,191 @@
+const PRIORITY_ORDER = { high: 3, normal: 2, low: 1 };
+
+/**
+ * PrinterWorker - Queue and processing loop for a single printer
+ * Each resolved printer gets its own worker so a slow or jammed device only
+ * holds up the jobs addressed to it.
+ */
+class PrinterWorker {
+  /**
+   * @param {string|null} printerName - Printer this worker feeds (null = system default)
+   * @param {Object} options
+   * @param {number} options.concurrency - Max jobs in flight on this printer
+   * @param {Function} options.runJob - async (job, worker) => void, handles a job's full lifecycle
+   * @param {Function} options.isPaused - () => boolean, true while this printer (or the whole queue) is paused
+   * @param {Function} options.isAvailable - () => boolean, false while the printer is down (offline, out of paper...)
+   */
+  constructor(printerName, options) {
+    this.printerName = printerName;
+    this.concurrency = options.concurrency || 1;
+    this.runJob = options.runJob;
+    this.isPaused = options.isPaused || (() => false);
+    this.isAvailable = options.isAvailable || (() => true);
+    this.queue = [];
+    this.activeJobs = [];
+    this.stopped = false;
+    this.wakeTimer = null;
+    this.currentBatchId = null; // Batch currently printing as a contiguous unit
+  }
+
+  /**
+   * Add a job to this worker's queue
+   */
+  enqueue(job, front = false) {
+    if (front) {
+      this.queue.unshift(job);
+    } else {
+      this.queue.push(job);
+    }
+  }
+
+  /**
+   * Remove a queued (not in-flight) job
+   * @returns {Object|null} The removed job
+   */
+  remove(jobId) {
+    const index = this.queue.findIndex(j => j.id === jobId);
+    if (index === -1) {
+      return null;
+    }
+    return this.queue.splice(index, 1)[0];
+  }
+
+  /**
+   * Start as many ready jobs as concurrency allows
+   * Jobs waiting for a retry (nextAttemptAt in the future) are skipped, and a
+   * timer wakes the worker when the earliest one becomes due. Nothing starts
+   * while the worker is paused or its printer is down; queued jobs simply stay queued. Batches are
+   * started by nextReadyJob() so they print without other jobs in between.
+   */
+  process() {
+    while (!this.stopped && !this.isPaused() && this.isAvailable() && this.activeJobs.length < this.concurrency) {
+      const job = this.nextReadyJob();
+      if (!job) {
+        break;
+      }
+
+      this.queue.splice(this.queue.indexOf(job), 1);
+      if (job.batchId) {
+        this.currentBatchId = job.batchId;
+      }
+      this.activeJobs.push(job);
+
+      Promise.resolve()
+        .then(() => this.runJob(job, this))
+        .catch((error) => {
+          console.error(`Worker for ${this.getDisplayName()} failed to run job ${job.id}:`, error);
+        })
+        .finally(() => {
+          this.activeJobs = this.activeJobs.filter(j => j !== job);
+          this.process();
+        });
+    }
+  }
+
+  /**
+   * Pick the next job to start, or null if nothing can start yet
+   * A batch prints as one contiguous unit: it starts only when the printer is idle,
+   * its jobs run one at a time in batch order, and nothing else starts until it is done.
+   */
+  nextReadyJob() {
+    const isDue = (j) => !j.nextAttemptAt || new Date(j.nextAttemptAt).getTime() <= Date.now();
+    const firstOfBatch = (batchId) => this.queue
+      .filter(j => j.batchId === batchId)
+      .reduce((first, j) => (!first || j.batchIndex < first.batchIndex ? j : first), null);
+
+    if (this.currentBatchId) {
+      const next = firstOfBatch(this.currentBatchId);
+      const batchActive = this.activeJobs.some(j => j.batchId === this.currentBatchId);
+      if (next || batchActive) {
+        if (!next || this.activeJobs.length > 0) {
+          return null;
+        }
+        if (!isDue(next)) {
+          this.scheduleWake();
+          return null;
+        }
+        return next;
+      }
+      this.currentBatchId = null; // Batch finished
+    }
+
+    // Sort by priority: high > normal > low (stable, so FIFO within a priority)
+    this.queue.sort((a, b) => PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority]);
+
+    const job = this.queue.find(isDue);
+    if (!job) {
+      this.scheduleWake();
+      return null;
+    }
+    if (job.batchId) {
+      // Wait for in-flight jobs so the batch is not interleaved with them
+      return this.activeJobs.length === 0 ? firstOfBatch(job.batchId) : null;
+    }
+    return job;
+  }
+
+  /**
+   * Arm a timer for the earliest job waiting on a retry
+   */
+  scheduleWake() {
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+
+    const waiting = this.queue
+      .filter(j => j.nextAttemptAt)
+      .map(j => new Date(j.nextAttemptAt).getTime());
+    if (this.stopped || waiting.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(0, Math.min(...waiting) - Date.now());
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.process();
+    }, delay);
+  }
+
+  /**
+   * Stop starting new jobs (in-flight jobs are left to finish)
+   */
+  stop() {
+    this.stopped = true;
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+  }
+
+  get isProcessing() {
+    return this.activeJobs.length > 0;
+  }
+
+  /**
+   * In-flight jobs followed by queued jobs
+   */
+  getJobs() {
+    return [...this.activeJobs, ...this.queue];
+  }
+
+  getDisplayName() {
+    return this.printerName || 'System Default';
+  }
+
+  getStatus() {
+    return {
+      printerName: this.printerName,
+      displayName: this.getDisplayName(),
+      isProcessing: this.isProcessing,
+      paused: this.isPaused(),
+      available: this.isAvailable(),
+      queueLength: this.queue.length,
+      concurrency: this.concurrency,
+      currentBatchId: this.currentBatchId,
+      activeJobs: this.activeJobs.map(job => ({ id: job.id, status: job.status }))
+    };
+  }
+}
+
+module.exports = PrinterWorker;
@@ -0,0 +1,145 @@
+const { execFile } = require('child_process');
+const PrintError = require('./PrintError');
+const CupsJobTracker = require('./CupsJobTracker');
+
+const RAW_FORMATS = ['zpl', 'epl', 'escpos'];
+const RAW_ENCODINGS = ['utf8', 'base64'];
+
+// Sends bytes straight to a Windows print queue with the RAW datatype (no driver rendering)
+const WINDOWS_RAW_PRINTER = `
+Add-Type -TypeDefinition @"
+using System;
+using System.ComponentModel;
+using System.Runtime.InteropServices;
+public static class RawPrinter {
+  [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Unicode)]
+  public class DOCINFO { public string pDocName; public string pOutputFile; public string pDataType; }
+  [DllImport("winspool.drv", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern bool OpenPrinter(string name, out IntPtr handle, IntPtr defaults);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool ClosePrinter(IntPtr handle);
+  [DllImport("winspool.drv", CharSet = CharSet.Unicode, SetLastError = true)]
+  static extern int StartDocPrinter(IntPtr handle, int level, DOCINFO info);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool EndDocPrinter(IntPtr handle);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool StartPagePrinter(IntPtr handle);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool EndPagePrinter(IntPtr handle);
+  [DllImport("winspool.drv", SetLastError = true)]
+  static extern bool WritePrinter(IntPtr handle, byte[] data, int count, out int written);
+  public static int Send(string printer, byte[] data, string docName) {
+    IntPtr handle;
+    if (!OpenPrinter(printer, out handle, IntPtr.Zero)) throw new Win32Exception();
+    try {
+      DOCINFO info = new DOCINFO();
+      info.pDocName = docName;
+      info.pDataType = "RAW";
+      int jobId = StartDocPrinter(handle, 1, info);
+      if (jobId == 0) throw new Win32Exception();
+      int written = 0;
+      bool ok = StartPagePrinter(handle) && WritePrinter(handle, data, data.Length, out written);
+      EndPagePrinter(handle);
+      EndDocPrinter(handle);
+      if (!ok || written != data.Length) throw new Win32Exception();
+      return jobId;
+    } finally {
+      ClosePrinter(handle);
+    }
+  }
+}
+"@
+`;
+
+/**
+ * RawPrinter - Sends printer-language jobs (ZPL, EPL, ESC/POS) to a print queue unchanged
+ * CUPS gets `lp -o raw`; Windows gets the bytes through the spooler's RAW datatype.
+ */
+class RawPrinter {
+  /**
+   * Check whether a raw format is supported
+   */
+  static isValidFormat(format) {
+    return RAW_FORMATS.includes(format);
+  }
+
+  /**
+   * Check whether a raw payload encoding is supported
+   */
+  static isValidEncoding(encoding) {
+    return RAW_ENCODINGS.includes(encoding);
+  }
+
+  /**
+   * Decode a raw job's payload
+   * @param {Object} jobData - rawData plus optional rawEncoding ('utf8' default, or 'base64' for binary data)
+   * @returns {Buffer}
+   */
+  static toBuffer(jobData) {
+    if (!jobData.rawData) {
+      throw PrintError.permanent('No raw print data provided', 'NO_CONTENT');
+    }
+    // Intake rejects these too; jobs restored from an older queue file skipped that check
+    if (typeof jobData.rawData !== 'string') {
+      throw PrintError.permanent('rawData must be a string', 'INVALID_RAW_DATA');
+    }
+    if (jobData.rawEncoding && !RawPrinter.isValidEncoding(jobData.rawEncoding)) {
+      throw PrintError.permanent(`Unsupported raw encoding: ${jobData.rawEncoding}`, 'INVALID_RAW_DATA');
+    }
+    return Buffer.from(jobData.rawData, jobData.rawEncoding === 'base64' ? 'base64' : 'utf8');
+  }
+
+  /**
+   * Print a raw file through CUPS (`lp -o raw`)
+   * @param {string} filePath - File holding the raw printer data
+   * @param {string|null} printerName - Print queue (null = system default)
+   * @param {Object} options
+   * @param {number} options.copies
+   * @returns {Promise<{printerJobId: string|null}>} CUPS job id to track
+   */
+  printCups(filePath, printerName, { copies = 1 } = {}) {
+    const args = printerName ? ['-d', printerName] : [];
+    args.push('-n', String(copies), '-o', 'raw', filePath);
+    return this.run('lp', args).then(stdout => ({ printerJobId: CupsJobTracker.parseJobId(stdout) }));
+  }
+
+  /**
+   * Print a raw file through the Windows spooler's RAW datatype
+   * @param {Object} options
+   * @param {number} options.copies
+   * @param {string} options.docName - Name shown in the OS print queue
+   * @returns {Promise<{printerJobId: null}>}
+   */
+  printWindows(filePath, printerName, { copies = 1, docName = 'Raw print job' } = {}) {
+    const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+    const script = WINDOWS_RAW_PRINTER + [
+      "$ErrorActionPreference = 'Stop'",
+      `$printer = ${quote(printerName || '')}`,
+      "if (-not $printer) { $printer = (Get-CimInstance Win32_Printer -Filter 'Default=TRUE').Name }",
+      `$bytes = [System.IO.File]::ReadAllBytes(${quote(filePath)})`,
+      `for ($i = 0; $i -lt ${Number(copies)}; $i++) { [RawPrinter]::Send($printer, $bytes, ${quote(docName)}) | Out-Null }`
+    ].join('\n');
+    const encoded = Buffer.from(script, 'utf16le').toString('base64');
+    return this.run('powershell', ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-EncodedCommand', encoded])
+      .then(() => ({ printerJobId: null }));
+  }
+
+  /**
+   * Run a print command and return stdout
+   */
+  run(command, args) {
+    console.log('Executing raw print command:', command, command === 'powershell' ? '(encoded script)' : args.join(' '));
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: 30000 }, (error, stdout, stderr) => {
+        if (error) {
+          console.error('Raw print failed:', stderr || error.message);
+          reject(PrintError.transient(stderr || error.message, 'PRINT_COMMAND_FAILED'));
+          return;
+        }
+        resolve(stdout);
+      });
+    });
+  }
+}
+
+module.exports = RawPrinter;
@@ -0,0 +1,78 @@
+const net = require('net');
+const PrintError = require('./PrintError');
+
+const DEFAULT_PORT = 9100;
+const SOCKET_TIMEOUT = 15000;
+
+/**
+ * SocketPrinter - Sends raw data straight to a network printer's raw port (JetDirect, 9100)
+ * Used for receipt and label printers addressed as `socket://host[:port]` that are
+ * not installed as OS print queues.
+ */
+class SocketPrinter {
+  /**
+   * Parse a `socket://host[:port]` printer name
+   * @returns {{host: string, port: number}|null} Null if the name is not a socket target
+   */
+  static parseTarget(printerName) {
+    const match = /^socket:\/\/([^/:]+|\[[^\]]+\])(?::(\d+))?\/?$/i.exec(printerName || '');
+    if (!match) {
+      return null;
+    }
+    return {
+      host: match[1].replace(/^\[|\]$/g, ''),
+      port: match[2] ? Number(match[2]) : DEFAULT_PORT
+    };
+  }
+
+  /**
+   * Send data to a socket target, once per copy
+   * @returns {Promise<{printerJobId: null}>} Socket printers have no job id to track
+   */
+  async print(printerName, data, { copies = 1 } = {}) {
+    const target = SocketPrinter.parseTarget(printerName);
+    if (!target) {
+      throw PrintError.permanent(`Invalid socket printer: ${printerName}`, 'INVALID_PRINTER');
+    }
+
+    console.log(`Sending ${data.length} bytes to ${target.host}:${target.port} (${copies} cop${copies === 1 ? 'y' : 'ies'})`);
+    for (let i = 0; i < copies; i++) {
+      await this.send(target, data);
+    }
+    return { printerJobId: null };
+  }
+
+  /**
+   * Open a connection, write the data and wait for it to be flushed
+   * Many raw-port printers never close their end, so the send is done once the
+   * data has been written; the connection is then left to close or time out.
+   */
+  send({ host, port }, data) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host, port });
+      let sent = false;
+      socket.setTimeout(SOCKET_TIMEOUT);
+
+      socket.once('connect', () => {
+        socket.end(data, () => {
+          sent = true;
+          resolve();
+        });
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        // After the data is out, a printer that keeps the connection open is not an error
+        if (!sent) {
+          reject(PrintError.transient(`Printer at ${host}:${port} timed out`, 'PRINTER_UNREACHABLE'));
+        }
+      });
+      socket.on('error', (error) => {
+        if (!sent) {
+          reject(PrintError.transient(`Cannot reach printer at ${host}:${port}: ${error.message}`, 'PRINTER_UNREACHABLE'));
+        }
+      });
+    });
+  }
+}
+
+module.exports = SocketPrinter;
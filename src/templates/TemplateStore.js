@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Handlebars = require('handlebars');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * TemplateStore - Versioned HTML/Handlebars document templates stored in userData
+ * Each save of changed content creates a new numbered version; old versions are
+ * kept so jobs queued against them still render the same document.
+ * Layout: <dir>/index.json plus <dir>/<name>/<version>.html
+ */
+class TemplateStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.indexPath = path.join(dirPath, 'index.json');
+    this.compiled = new Map(); // "name@version" -> compiled template
+    this.handlebars = Handlebars.create();
+    this.index = this.loadIndex();
+  }
+
+  /**
+   * Check that a template name is safe to use as a directory name
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Create an error with a code the API can map to a status
+   */
+  static error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Index entry for a template
+   * Names come from requests, so inherited keys like "constructor" must not count as templates.
+   * @returns {Object|null}
+   */
+  getEntry(name) {
+    if (!TemplateStore.isValidName(name) || !Object.prototype.hasOwnProperty.call(this.index.templates, name)) {
+      return null;
+    }
+    return this.index.templates[name];
+  }
+
+  loadIndex() {
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading template index:', error);
+    }
+    return { templates: {} };
+  }
+
+  saveIndex() {
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    // Write to a temp file and rename so a crash mid-write never leaves a truncated index
+    const tempPath = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.index, null, 2));
+    fs.renameSync(tempPath, this.indexPath);
+  }
+
+  /**
+   * List templates with their versions (newest version last)
+   */
+  list() {
+    return Object.keys(this.index.templates).sort().map(name => {
+      const versions = this.index.templates[name].versions;
+      const latest = versions[versions.length - 1];
+      return {
+        name,
+        latestVersion: latest.version,
+        description: latest.description || null,
+        updatedAt: latest.createdAt,
+        versions: versions.map(v => v.version)
+      };
+    });
+  }
+
+  /**
+   * @returns {number|null} Latest version of a template, or null if it does not exist
+   */
+  getLatestVersion(name) {
+    const entry = this.getEntry(name);
+    return entry ? entry.versions[entry.versions.length - 1].version : null;
+  }
+
+  /**
+   * Get a template version with its HTML
+   * @param {string} name
+   * @param {number} [version] - Defaults to the latest version
+   * @returns {Object|null}
+   */
+  get(name, version) {
+    const entry = this.getEntry(name);
+    if (!entry) {
+      return null;
+    }
+    const wanted = version ? Number(version) : this.getLatestVersion(name);
+    const record = entry.versions.find(v => v.version === wanted);
+    if (!record) {
+      return null;
+    }
+
+    try {
+      const html = fs.readFileSync(this.getFilePath(name, record.version), 'utf8');
+      return { name, ...record, html };
+    } catch (error) {
+      console.error(`Template ${name} v${record.version} is missing its HTML file:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Save template HTML, creating a new version if the content changed
+   * @param {string} name
+   * @param {Object} template - { html, version, description, pageSize, orientation, margins, source }
+   *   `version` pins the version number (used by server sync); otherwise the next number is used.
+   * @returns {{template: Object, created: boolean}}
+   */
+  save(name, template) {
+    if (!TemplateStore.isValidName(name)) {
+      throw TemplateStore.error('Template name may only contain letters, digits, ".", "_" and "-"', 'TEMPLATE_INVALID');
+    }
+    if (typeof template.html !== 'string' || template.html.trim().length === 0) {
+      throw TemplateStore.error('Template html must be a non-empty string', 'TEMPLATE_INVALID');
+    }
+    if (template.version !== undefined && template.version !== null &&
+        (!Number.isInteger(template.version) || template.version < 1)) {
+      throw TemplateStore.error('Template version must be a positive whole number', 'TEMPLATE_INVALID');
+    }
+    try {
+      this.handlebars.parse(template.html);
+    } catch (error) {
+      throw TemplateStore.error(`Template does not compile: ${error.message}`, 'TEMPLATE_INVALID');
+    }
+
+    const checksum = crypto.createHash('sha256').update(template.html).digest('hex');
+    const entry = this.getEntry(name) || { versions: [] };
+    const latest = entry.versions[entry.versions.length - 1];
+
+    if (template.version) {
+      const existing = entry.versions.find(v => v.version === template.version);
+      if (existing) {
+        if (existing.checksum !== checksum) {
+          throw TemplateStore.error(`Template ${name} v${template.version} already exists with different content`, 'TEMPLATE_VERSION_EXISTS');
+        }
+        return { template: { name, ...existing }, created: false };
+      }
+    } else if (latest && latest.checksum === checksum) {
+      // Unchanged content does not need a new version
+      return { template: { name, ...latest }, created: false };
+    }
+
+    const record = {
+      version: template.version || (latest ? Math.max(...entry.versions.map(v => v.version)) + 1 : 1),
+      checksum,
+      createdAt: new Date().toISOString(),
+      description: template.description || null,
+      pageSize: template.pageSize || null,
+      orientation: template.orientation || null,
+      margins: template.margins || null,
+      source: template.source || 'api'
+    };
+
+    fs.mkdirSync(path.join(this.dirPath, name), { recursive: true });
+    fs.writeFileSync(this.getFilePath(name, record.version), template.html);
+    entry.versions.push(record);
+    entry.versions.sort((a, b) => a.version - b.version);
+    this.index.templates[name] = entry;
+    this.saveIndex();
+
+    console.log(`Saved template ${name} v${record.version} (${record.source})`);
+    return { template: { name, ...record }, created: true };
+  }
+
+  /**
+   * Render a template with JSON data
+   * @returns {{html: string, template: Object}} Rendered HTML and the template version used
+   */
+  render(name, data, version) {
+    const template = this.get(name, version);
+    if (!template) {
+      throw TemplateStore.error(`Template not found: ${name}${version ? ` v${version}` : ''}`, 'TEMPLATE_NOT_FOUND');
+    }
+
+    const key = `${name}@${template.version}`;
+    if (!this.compiled.has(key)) {
+      this.compiled.set(key, this.handlebars.compile(template.html));
+    }
+    return { html: this.compiled.get(key)(data || {}), template };
+  }
+
+  getFilePath(name, version) {
+    return path.join(this.dirPath, name, `${version}.html`);
+  }
+}
+
+module.exports = TemplateStore;
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileBackend = require('../src/backends/FileBackend');
+
+test('virtual file printer writes the print data and a JSON sidecar', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'virtual-printer-'));
+  const source = path.join(directory, 'source.pdf');
+  fs.writeFileSync(source, '%PDF-1.4 test');
+  const backend = new FileBackend({ printerName: 'Virtual File Printer', directory: path.join(directory, 'out') });
+
+  try {
+    assert.deepStrictEqual((await backend.listPrinters()).map(printer => printer.name), ['Virtual File Printer']);
+
+    const result = await backend.submit(source, 'Office_Laser', { options: { copies: 2 }, docName: 'job_1' });
+    assert.deepStrictEqual(result, { printerJobId: null });
+
+    const files = fs.readdirSync(path.join(directory, 'out')).sort();
+    assert.strictEqual(files.length, 2);
+    const pdf = files.find(file => file.endsWith('.pdf'));
+    const sidecar = JSON.parse(fs.readFileSync(path.join(directory, 'out', files.find(file => file.endsWith('.json'))), 'utf8'));
+    assert.strictEqual(fs.readFileSync(path.join(directory, 'out', pdf), 'utf8'), '%PDF-1.4 test');
+    assert.strictEqual(sidecar.requestedPrinter, 'Office_Laser');
+    assert.strictEqual(sidecar.docName, 'job_1');
+    assert.deepStrictEqual(sidecar.options, { copies: 2 });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
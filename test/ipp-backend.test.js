@@ -0,0 +1,94 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IppBackend = require('../src/backends/IppBackend');
+const IppMessage = require('../src/backends/IppMessage');
+const PrintOptions = require('../src/spooler/PrintOptions');
+
+const PORT = 18631;
+const PRINTER_URI = `ipp://localhost:${PORT}/ipp/print`;
+
+let server;
+let outputDir;
+
+// Start examples/ipp-server.js and wait until it is listening
+before(async () => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipp-stand-in-'));
+  server = spawn(process.execPath, [path.join(__dirname, '..', 'examples', 'ipp-server.js'), String(PORT), outputDir], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`IPP stand-in did not start: ${output}`)), 10000);
+    server.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`IPP stand-in exited with code ${code}: ${output}`));
+    });
+  });
+});
+
+after(() => {
+  if (server && server.exitCode === null) {
+    server.kill();
+  }
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('media-col survives an IPP encode/decode round trip', () => {
+  const attributes = PrintOptions.toIppAttributes(PrintOptions.normalize({ pageSize: 'A4', tray: 'tray-2', copies: 2 }));
+  const message = IppMessage.decode(IppMessage.encode({
+    code: IppMessage.OPERATIONS['Print-Job'],
+    requestId: 7,
+    groups: { job: attributes },
+    data: Buffer.from('%PDF-1.4 test')
+  }));
+
+  assert.strictEqual(message.requestId, 7);
+  assert.strictEqual(message.groups.job.copies, 2);
+  assert.deepStrictEqual(message.groups.job['media-col'], { 'media-source': 'tray-2', 'media-size-name': 'iso_a4_210x297mm' });
+  assert.strictEqual(message.data.toString(), '%PDF-1.4 test');
+});
+
+test('IppBackend reads capabilities from the stand-in printer', async () => {
+  const capabilities = await new IppBackend().getCapabilities(PRINTER_URI);
+
+  assert.strictEqual(capabilities.duplex, true);
+  assert.strictEqual(capabilities.color, true);
+  assert.deepStrictEqual(capabilities.trays, ['auto', 'tray-1', 'tray-2']);
+  assert.deepStrictEqual(capabilities.resolutions, ['300dpi', '600dpi']);
+});
+
+test('IppBackend prints a job to the stand-in printer and tracks it to completion', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ipp-job-'));
+  const source = path.join(directory, 'source.pdf');
+  fs.writeFileSync(source, '%PDF-1.4 test');
+  const backend = new IppBackend({ printers: { 'Stand-in': PRINTER_URI }, pollInterval: 200 });
+
+  try {
+    const options = PrintOptions.normalize({ pageSize: 'A4', tray: 'tray-1', copies: 1 });
+    const { printerJobId } = await backend.submit(source, 'Stand-in', { options, docName: 'job_1' });
+    assert.ok(printerJobId);
+
+    const states = [];
+    await backend.track(printerJobId, { onState: (state) => states.push(state), isCancelled: () => false });
+    assert.strictEqual(states[states.length - 1], 'completed');
+
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'job-1.pdf'), 'utf8'), '%PDF-1.4 test');
+    const received = JSON.parse(fs.readFileSync(path.join(outputDir, 'job-1.pdf.json'), 'utf8'));
+    assert.strictEqual(received.operation['job-name'], 'job_1');
+    assert.strictEqual(received.operation['document-format'], 'application/pdf');
+    assert.deepStrictEqual(received.job['media-col'], { 'media-source': 'tray-1', 'media-size-name': 'iso_a4_210x297mm' });
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});